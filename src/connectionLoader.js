@@ -0,0 +1,51 @@
+const DataLoader = require('dataloader')
+const { createConnections } = require('./lib')
+
+/**
+ * Creates a DataLoader batching the nested connections of many parents, requested within the same tick, into a
+ * single query per distinct set of connection arguments. Create one loader per request.
+ * @param {object} definition - nested connection definition
+ *      @param {object} definition.customQuery - custom query of the rows of all parents, see createConnection
+ *      @param {object} definition.fieldMap - mapping of graphQL field names to their respective DB column names
+ *      @param {string} definition.parentColumn - column of customQuery's rows referencing the parent
+ *      @param {object} [definition.options] - pagination options, see createConnections
+ * @returns {object} DataLoader loading the connection of a { parentId, args } key
+ */
+const createConnectionLoader = ({ customQuery, fieldMap, parentColumn, options }) =>
+  new DataLoader(
+    keys => {
+      const groups = new Map()
+      keys.forEach((key, index) => {
+        const argsKey = JSON.stringify(key.args)
+        groups.set(argsKey, (groups.get(argsKey) || []).concat(index))
+      })
+      const connections = new Array(keys.length)
+
+      return Promise.all(
+        Array.from(groups.values()).map(indexes =>
+          createConnections(
+            keys[indexes[0]].args,
+            { parentColumn, parentIds: indexes.map(index => keys[index].parentId) },
+            fieldMap,
+            customQuery,
+            options
+          )
+            .then(results => {
+              indexes.forEach((index, position) => {
+                connections[index] = results[position]
+              })
+            })
+            .catch(error => {
+              indexes.forEach(index => {
+                connections[index] = error
+              })
+            })
+        )
+      ).then(() => connections)
+    },
+    { cacheKeyFn: key => JSON.stringify([key.parentId, key.args]) }
+  )
+
+module.exports = {
+  createConnectionLoader
+}
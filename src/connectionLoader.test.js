@@ -0,0 +1,82 @@
+const { createConnectionLoader } = require('./connectionLoader')
+const config = require('./config')
+
+config.cursorSecret = 'test secret'
+
+describe('createConnectionLoader', () => {
+  const fieldMap = { id: 'id', name: 'display_name', exchangeId: 'exchange_id' }
+  const args = { direction: 'ASC', first: 2, sort: 'name' }
+  const market = (exchange, position) => ({
+    id: `${exchange}-${position}`,
+    display_name: `Market ${position}`,
+    exchange_id: exchange,
+    connection_position: String(position),
+    connection_count: '2'
+  })
+  const createLoader = () => {
+    const db = {
+      query: jest.fn((sql, { replacements }) =>
+        Promise.resolve(replacements[0].map(exchange => market(exchange, 1)))
+      )
+    }
+    const loader = createConnectionLoader({
+      customQuery: { db, queryString: 'SELECT * FROM markets', replacements: [] },
+      fieldMap,
+      parentColumn: 'exchange_id'
+    })
+    return { db, loader }
+  }
+
+  it('loads the connections of all parents requested in the same tick with one query', async () => {
+    const { db, loader } = createLoader()
+
+    const [binance, kraken] = await Promise.all([
+      loader.load({ args, parentId: 'binance' }),
+      loader.load({ args, parentId: 'kraken' })
+    ])
+
+    expect(db.query).toHaveBeenCalledTimes(1)
+    expect(db.query.mock.calls[0][1].replacements[0]).toEqual(['binance', 'kraken'])
+    expect(binance.edges.map(edge => edge.node.id)).toEqual(['binance-1'])
+    expect(kraken.edges.map(edge => edge.node.id)).toEqual(['kraken-1'])
+  })
+
+  it('runs one query per distinct set of arguments', async () => {
+    const { db, loader } = createLoader()
+
+    await Promise.all([
+      loader.load({ args, parentId: 'binance' }),
+      loader.load({ args: { ...args, first: 5 }, parentId: 'kraken' }),
+      loader.load({ args, parentId: 'gdax' })
+    ])
+
+    expect(db.query).toHaveBeenCalledTimes(2)
+    expect(db.query.mock.calls.map(call => call[1].replacements[0])).toEqual([
+      ['binance', 'gdax'],
+      ['kraken']
+    ])
+  })
+
+  it('caches connections by parent and arguments', async () => {
+    const { db, loader } = createLoader()
+
+    await loader.load({ args, parentId: 'binance' })
+    await loader.load({ args: { ...args }, parentId: 'binance' })
+
+    expect(db.query).toHaveBeenCalledTimes(1)
+  })
+
+  it('rejects only the keys of the arguments that failed', async () => {
+    const { loader } = createLoader()
+
+    const [invalid, valid] = await Promise.allSettled([
+      loader.load({ args: { ...args, first: -1 }, parentId: 'binance' }),
+      loader.load({ args, parentId: 'kraken' })
+    ])
+
+    expect(invalid.reason.message).toEqual(
+      'Validation error: First and last must be greater than 1'
+    )
+    expect(valid.value.edges.map(edge => edge.node.id)).toEqual(['kraken-1'])
+  })
+})
@@ -0,0 +1,110 @@
+const { createConnectionLoader } = require('./connectionLoader')
+const { ValidationError } = require('./errors')
+const { createConnection, handleError } = require('./lib')
+
+/**
+ * Creates a graphQL resolver for a relay connection field
+ * @param {object} definition - connection definition
+ *      @param {object} [definition.model] - sequelize model to query
+ *      @param {object} definition.fieldMap - mapping of graphQL field names to their respective DB column names
+ *      @param {string|array} definition.defaultSort - sort for when sort is not present in args, e.g. 'marketCapUsd'
+ *      @param {string} definition.defaultDirection - direction for when direction is not present in args, 'ASC' or 'DESC'
+ *      @param {array} [definition.searchColumns] - field(s) the search argument is applied to e.g ['name', 'symbol'],
+ *          connections without search columns reject searches
+ *      @param {string} [definition.searchMode] - search mode for when searchMode is not present in args, see
+ *          addSearchExpression
+ *      @param {function} [definition.where] - (parent, args, ctx) => sequelize 'where' object, may return a
+ *          Promise. Scopes the connection, e.g. parent => ({ exchange_id: parent.id }) for the markets of an exchange
+ *      @param {function} [definition.customQuery] - (parent, args, ctx) => customQuery object, see createConnection,
+ *          may return a Promise. It applies args.filter itself with filterToSql
+ *      @param {object} [definition.batch] - batches the connections of sibling parents into one query, instead of
+ *          model, where and customQuery, see createConnections
+ *          @param {function} definition.batch.customQuery - ctx => custom query of the rows of all parents
+ *          @param {string} definition.batch.parentColumn - column of the rows referencing the parent
+ *          @param {function} definition.batch.parentId - parent => id of the parent, e.g. exchange => exchange.id
+ *      @param {object} [definition.options] - pagination options, see createConnection
+ * @returns {function} resolver (parent, args, ctx, info) => Promise of the connection
+ */
+const connectionResolver = ({
+  model,
+  fieldMap,
+  defaultSort,
+  defaultDirection,
+  searchColumns,
+  searchMode,
+  where,
+  customQuery,
+  batch,
+  options
+}) => {
+  // batched connections are loaded through one DataLoader per request context
+  const loaders = new WeakMap()
+  const getLoader = ctx => {
+    if (!loaders.has(ctx)) {
+      loaders.set(
+        ctx,
+        createConnectionLoader({
+          customQuery: batch.customQuery(ctx),
+          fieldMap,
+          parentColumn: batch.parentColumn,
+          options
+        })
+      )
+    }
+    return loaders.get(ctx)
+  }
+
+  return async (parent, args, ctx, info) => {
+    try {
+      const connectionArgs = {
+        after: args.after,
+        before: args.before,
+        direction: args.direction || defaultDirection,
+        filter: args.filter,
+        first: args.first,
+        last: args.last,
+        search: getSearch(args, searchColumns, searchMode),
+        sort: args.sort || defaultSort
+      }
+      if (batch) {
+        return await getLoader(ctx).load({ args: connectionArgs, parentId: batch.parentId(parent) })
+      }
+
+      const [scope, query] = await Promise.all([
+        where ? where(parent, args, ctx, info) : {},
+        customQuery ? customQuery(parent, args, ctx, info) : undefined
+      ])
+      return await createConnection(
+        // custom queries apply the filter of args themselves, see filterToSql
+        {
+          ...connectionArgs,
+          filter: query ? undefined : connectionArgs.filter,
+          where: scope || {}
+        },
+        model,
+        fieldMap,
+        query,
+        options
+      )
+    } catch (error) {
+      return handleError(error)
+    }
+  }
+}
+
+const getSearch = (args, searchColumns, searchMode) => {
+  if (!args.search) {
+    return undefined
+  } else if (!searchColumns || !searchColumns.length) {
+    throw new ValidationError('Search is not supported on this connection', 'search')
+  }
+  return {
+    columns: searchColumns,
+    mode: args.searchMode || searchMode,
+    searchTerm: args.search
+  }
+}
+
+module.exports = {
+  connectionResolver
+}
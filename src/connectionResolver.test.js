@@ -0,0 +1,217 @@
+const { connectionResolver } = require('./connectionResolver')
+const { dbData, normalizedData } = require('../__mocks__/sampleAssetsData.js')
+const assetsFieldMap = require('./schema/Asset/resolvers').fieldMap
+const exchangesFieldMap = require('./schema/Exchange/resolvers').fieldMap
+const config = require('./config')
+const { filterToSql } = require('./filter')
+const { sql } = require('./sql')
+
+config.cursorSecret = 'test secret'
+
+describe('connectionResolver', () => {
+  const mockModel = rows => ({
+    count: jest.fn(() => Promise.resolve(rows.length)),
+    findAll: jest.fn(() => Promise.resolve(rows))
+  })
+  const definition = model => ({
+    model,
+    fieldMap: assetsFieldMap,
+    defaultSort: 'marketCapUsd',
+    defaultDirection: 'DESC',
+    searchColumns: ['symbol', 'name']
+  })
+
+  it('resolves a connection with the default sort and direction', async () => {
+    const model = mockModel([dbData[0], dbData[4]])
+
+    const connection = await connectionResolver(definition(model))(undefined, { first: 2 }, {})
+
+    expect(model.findAll).toHaveBeenCalledWith({
+      limit: 2 + 1,
+      offset: 0,
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
+      where: {}
+    })
+    expect(connection.edges.map(edge => edge.node)).toEqual([normalizedData[0], normalizedData[4]])
+    expect(await connection.totalCount()).toEqual(2)
+  })
+
+  it('passes sort, direction, search and filter from args', async () => {
+    const model = mockModel([])
+
+    await connectionResolver(definition(model))(
+      undefined,
+      {
+        direction: 'ASC',
+        filter: { rank: { lte: 10 } },
+        first: 2,
+        search: 'bit',
+        searchMode: 'CONTAINS',
+        sort: 'name'
+      },
+      {}
+    )
+
+    expect(model.findAll).toHaveBeenCalledWith({
+      limit: 2 + 1,
+      offset: 0,
+      order: [
+        ['display_name', 'ASC NULLS LAST'],
+        ['id', 'ASC NULLS LAST']
+      ],
+      where: {
+        $and: [{ rank: { $lte: 10 } }],
+        $or: [{ symbol: { $iLike: '%bit%' } }, { display_name: { $iLike: '%bit%' } }]
+      }
+    })
+  })
+
+  it('falls back to the default search mode', async () => {
+    const model = mockModel([])
+
+    await connectionResolver({ ...definition(model), searchMode: 'exact' })(
+      undefined,
+      { first: 2, search: 'bit' },
+      {}
+    )
+
+    expect(model.findAll.mock.calls[0][0].where).toEqual({
+      $or: [{ symbol: { $iLike: 'bit' } }, { display_name: { $iLike: 'bit' } }]
+    })
+  })
+
+  it('scopes parent connections with the where function', async () => {
+    const model = mockModel([])
+    const where = jest.fn(parent => Promise.resolve({ exchange_id: parent.id }))
+    const parent = { id: 'binance' }
+    const args = { first: 2 }
+    const ctx = { user: 'me' }
+
+    await connectionResolver({
+      model,
+      fieldMap: exchangesFieldMap,
+      defaultSort: Object.keys(exchangesFieldMap)[0],
+      defaultDirection: 'ASC',
+      where
+    })(parent, args, ctx)
+
+    expect(where).toHaveBeenCalledWith(parent, args, ctx, undefined)
+    expect(model.findAll.mock.calls[0][0].where).toEqual({ exchange_id: 'binance' })
+  })
+
+  it('ignores a where argument sent by the client', async () => {
+    const model = mockModel([])
+
+    await connectionResolver(definition(model))(undefined, { first: 2, where: { rank: 1 } }, {})
+
+    expect(model.findAll.mock.calls[0][0].where).toEqual({})
+  })
+
+  it('queries the custom query returned by the customQuery function', async () => {
+    const db = { query: jest.fn(() => Promise.resolve([])) }
+    const customQuery = jest.fn(parent => ({
+      db,
+      queryString: 'SELECT * FROM markets WHERE exchange_id = ?',
+      replacements: [parent.id]
+    }))
+
+    await connectionResolver({ ...definition(undefined), customQuery })(
+      { id: 'binance' },
+      { first: 2 },
+      {}
+    )
+
+    expect(db.query.mock.calls[0][1].replacements).toEqual(['binance', 2 + 1, 0])
+  })
+
+  it('leaves the filter to the custom query', async () => {
+    const db = { query: jest.fn(() => Promise.resolve([])) }
+    const customQuery = jest.fn((parent, args) => ({
+      db,
+      sql: sql`SELECT * FROM markets WHERE ${filterToSql(args.filter, exchangesFieldMap)}`
+    }))
+
+    const connection = await connectionResolver({
+      ...definition(undefined),
+      customQuery,
+      defaultSort: 'volumeUsd24Hr',
+      fieldMap: exchangesFieldMap
+    })(undefined, { filter: { rank: { gt: 0 } }, first: 2 }, {})
+
+    expect(connection.edges).toEqual([])
+    expect(db.query.mock.calls[0][0]).toContain('FROM (SELECT * FROM markets WHERE "rank" > ?)')
+    expect(db.query.mock.calls[0][1].replacements).toEqual([0, 2 + 1, 0])
+  })
+
+  it('batches the connections of sibling parents with one loader per request', async () => {
+    const db = {
+      query: jest.fn((sql, { replacements }) =>
+        Promise.resolve(
+          replacements[0].map(exchange => ({
+            id: `${exchange}-1`,
+            exchange_id: exchange,
+            connection_position: '1',
+            connection_count: '1'
+          }))
+        )
+      )
+    }
+    const resolve = connectionResolver({
+      fieldMap: { id: 'id', exchangeId: 'exchange_id' },
+      defaultSort: 'id',
+      defaultDirection: 'ASC',
+      batch: {
+        customQuery: () => ({ db, queryString: 'SELECT * FROM markets', replacements: [] }),
+        parentColumn: 'exchange_id',
+        parentId: exchange => exchange.id
+      }
+    })
+    const ctx = {}
+
+    const connections = await Promise.all([
+      resolve({ id: 'binance' }, { first: 2 }, ctx),
+      resolve({ id: 'kraken' }, { first: 2 }, ctx)
+    ])
+    await resolve({ id: 'binance' }, { first: 2 }, {})
+
+    expect(connections.map(connection => connection.edges[0].node.id)).toEqual([
+      'binance-1',
+      'kraken-1'
+    ])
+    expect(db.query).toHaveBeenCalledTimes(2)
+    expect(db.query.mock.calls[0][1].replacements[0]).toEqual(['binance', 'kraken'])
+  })
+
+  it('rethrows validation errors', async () => {
+    const resolve = connectionResolver(definition(mockModel([])))
+
+    await expect(resolve(undefined, { first: -1 }, {})).rejects.toThrowError(
+      'Validation error: First and last must be greater than 1'
+    )
+  })
+
+  it('rejects searches on connections without search columns', async () => {
+    const resolve = connectionResolver({ ...definition(mockModel([])), searchColumns: undefined })
+
+    await expect(resolve(undefined, { first: 2, search: 'bit' }, {})).rejects.toThrowError(
+      'Validation error: Search is not supported on this connection'
+    )
+  })
+
+  it('hides unexpected errors, also those of the where function', async () => {
+    const model = { count: jest.fn(), findAll: jest.fn(() => Promise.reject(new Error('db down'))) }
+    const where = () => {
+      throw new Error('no parent')
+    }
+
+    await expect(
+      connectionResolver(definition(model))(undefined, { first: 2 }, {})
+    ).rejects.toThrowError('An unexpected error has occurred. Please try back again later.')
+    await expect(
+      connectionResolver({ ...definition(model), where })(undefined, { first: 2 }, {})
+    ).rejects.toThrowError('An unexpected error has occurred. Please try back again later.')
+  })
+})
@@ -0,0 +1,131 @@
+const {
+  GraphQLError,
+  getDirectiveValues,
+  getNamedType,
+  isInterfaceType,
+  isObjectType,
+  valueFromAST
+} = require('graphql')
+const config = require('./config')
+
+const DEFAULT_MULTIPLIERS = ['first', 'last']
+
+/**
+ * Validation rule enforcing the @cost directive of schema.graphql:
+ *   directive @cost(complexity: Int, useMultipliers: Boolean, multipliers: [String!]) on FIELD_DEFINITION
+ * The cost of a field is its complexity plus the cost of its selections, times its multiplier: the largest value
+ * of its multiplier arguments (first and last by default), capped by config.maxLimit. Multiplier arguments
+ * bound to variables that are not supplied count as config.maxLimit. Operations costing more than the maximum
+ * are rejected before they are executed.
+ * @param {object} [options]
+ *      @param {number} [options.maxCost] - maximum cost of an operation, defaults to config.maxCost
+ *      @param {object} [options.variables] - variable values of the request
+ *      @param {function} [options.onCost] - called with the cost of each operation, e.g. for logging
+ * @returns {function} graphQL validation rule, for the validationRules of the server
+ */
+const createCostLimitRule =
+  ({ maxCost = config.maxCost, variables = {}, onCost } = {}) =>
+  context => ({
+    OperationDefinition(node) {
+      const schema = context.getSchema()
+      const rootType = schema.getRootType(node.operation)
+      if (!rootType) {
+        return
+      }
+      const cost = getSelectionCost(node.selectionSet, rootType, {
+        context,
+        fragments: new Set(),
+        variables
+      })
+      if (onCost) {
+        onCost(cost, node)
+      }
+      if (cost > maxCost) {
+        context.reportError(
+          new GraphQLError(
+            `Validation error: Query cost of ${cost} exceeds the maximum cost of ${maxCost}`,
+            { nodes: [node] }
+          )
+        )
+      }
+    }
+  })
+
+/**
+ * @param {object} selectionSet - selection set AST node
+ * @param {object} parentType - graphQL type the selections are made on
+ * @param {object} state - validation context, variable values and the fragments spread on the current path
+ * @returns {number} cost of the selections
+ */
+const getSelectionCost = (selectionSet, parentType, state) =>
+  selectionSet.selections.reduce((cost, selection) => {
+    if (selection.kind === 'Field') {
+      return cost + getFieldCost(selection, parentType, state)
+    } else if (selection.kind === 'InlineFragment') {
+      const type = selection.typeCondition
+        ? state.context.getSchema().getType(selection.typeCondition.name.value)
+        : parentType
+      return cost + getSelectionCost(selection.selectionSet, type || parentType, state)
+    }
+    // fragment spreads, cycles are reported by the NoFragmentCycles rule
+    const name = selection.name.value
+    const fragment = state.context.getFragment(name)
+    if (!fragment || state.fragments.has(name)) {
+      return cost
+    }
+    const type = state.context.getSchema().getType(fragment.typeCondition.name.value)
+    return (
+      cost +
+      getSelectionCost(fragment.selectionSet, type || parentType, {
+        ...state,
+        fragments: new Set(state.fragments).add(name)
+      })
+    )
+  }, 0)
+
+const getFieldCost = (node, parentType, state) => {
+  const fields =
+    isObjectType(parentType) || isInterfaceType(parentType) ? parentType.getFields() : {}
+  const fieldDef = fields[node.name.value]
+  if (!fieldDef) {
+    return 0 // __typename and unknown fields, the latter are reported by the FieldsOnCorrectType rule
+  }
+
+  const type = getNamedType(fieldDef.type)
+  const selectionsCost = node.selectionSet ? getSelectionCost(node.selectionSet, type, state) : 0
+  const costDirective = state.context.getSchema().getDirective('cost')
+  const directiveValues =
+    costDirective && fieldDef.astNode
+      ? getDirectiveValues(costDirective, fieldDef.astNode)
+      : undefined
+  if (!directiveValues) {
+    return selectionsCost
+  }
+
+  const cost = (directiveValues.complexity || 0) + selectionsCost
+  return directiveValues.useMultipliers === false
+    ? cost
+    : cost *
+        getMultiplier(node, fieldDef, directiveValues.multipliers || DEFAULT_MULTIPLIERS, state)
+}
+
+/**
+ * @returns {number} the largest value of the multiplier arguments of the field, 1 when none is supplied
+ */
+const getMultiplier = (node, fieldDef, multipliers, state) =>
+  (node.arguments || [])
+    .filter(argument => multipliers.includes(argument.name.value))
+    .reduce((multiplier, argument) => {
+      const argDef = fieldDef.args.find(arg => arg.name === argument.name.value)
+      const isUnknownVariable =
+        argument.value.kind === 'Variable' &&
+        state.variables[argument.value.name.value] === undefined
+      const value = isUnknownVariable
+        ? config.maxLimit
+        : argDef && valueFromAST(argument.value, argDef.type, state.variables)
+      return Math.max(multiplier, Math.min(Number(value) || 0, config.maxLimit))
+    }, 1)
+
+module.exports = {
+  createCostLimitRule
+}
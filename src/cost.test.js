@@ -0,0 +1,97 @@
+const { buildSchema, parse, specifiedRules, validate } = require('graphql')
+const { createCostLimitRule } = require('./cost')
+const config = require('./config')
+
+describe('createCostLimitRule', () => {
+  const schema = buildSchema(`
+    directive @cost(complexity: Int, useMultipliers: Boolean, multipliers: [String!]) on FIELD_DEFINITION
+
+    interface Node {
+      id: ID!
+    }
+
+    type Market implements Node {
+      id: ID!
+      price: Float @cost(complexity: 2, useMultipliers: false)
+    }
+
+    type Exchange implements Node {
+      id: ID!
+      markets(first: Int, last: Int): [Market] @cost(complexity: 1)
+    }
+
+    type Query {
+      exchanges(first: Int, last: Int, limit: Int): [Exchange] @cost(complexity: 1)
+      topExchanges(limit: Int): [Exchange] @cost(complexity: 1, multipliers: ["limit"])
+      node(id: ID!): Node @cost(complexity: 1)
+      status: String
+    }
+  `)
+  const getCost = (query, options = {}) => {
+    let cost
+    const errors = validate(schema, parse(query), [
+      ...specifiedRules,
+      createCostLimitRule({ maxCost: 1000, ...options, onCost: value => (cost = value) })
+    ])
+    return { cost, errors: errors.map(error => error.message) }
+  }
+
+  it('multiplies the cost of connections by first or last', () => {
+    // exchanges: (1 + markets) * 10, markets: (1 + 2) * 5
+    expect(getCost('{ exchanges(first: 10) { id markets(last: 5) { id price } } }')).toEqual({
+      cost: 160,
+      errors: []
+    })
+  })
+
+  it('uses the multipliers of the directive', () => {
+    expect(getCost('{ topExchanges(limit: 3, first: 100) { id } }').cost).toEqual(3)
+    expect(getCost('{ exchanges(limit: 3) { id } }').cost).toEqual(1)
+  })
+
+  it('does not charge fields without @cost', () => {
+    expect(getCost('{ status __typename }').cost).toEqual(0)
+  })
+
+  it('caps multipliers by config.maxLimit', () => {
+    expect(getCost('{ exchanges(first: 1000000) { id } }', { maxCost: Infinity }).cost).toEqual(
+      config.maxLimit
+    )
+  })
+
+  it('reads multipliers from variables, unknown variables count as config.maxLimit', () => {
+    const query = 'query ($first: Int) { exchanges(first: $first) { id } }'
+
+    expect(getCost(query, { variables: { first: 4 } }).cost).toEqual(4)
+    expect(getCost(query).cost).toEqual(config.maxLimit)
+  })
+
+  it('follows fragments and inline fragments', () => {
+    const query = `
+      { node(id: "binance") { ...markets ... on Market { price } } }
+      fragment markets on Exchange { markets(first: 10) { price } }
+    `
+
+    // node: 1 + (markets: (1 + 2) * 10) + price: 2
+    expect(getCost(query).cost).toEqual(33)
+  })
+
+  it('rejects operations over the maximum cost', () => {
+    expect(getCost('{ exchanges(first: 100) { markets(first: 100) { price } } }')).toEqual({
+      cost: 30100,
+      errors: ['Validation error: Query cost of 30100 exceeds the maximum cost of 1000']
+    })
+  })
+
+  it('defaults the maximum cost to config.maxCost', () => {
+    const errors = validate(
+      schema,
+      parse('{ exchanges(first: 2000) { markets(first: 2000) { id } } }'),
+      [createCostLimitRule()]
+    )
+
+    expect(errors.map(error => error.message)).toEqual([
+      `Validation error: Query cost of 4002000 exceeds the maximum cost of ${config.maxCost}`
+    ])
+  })
+})
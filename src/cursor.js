@@ -0,0 +1,120 @@
+const crypto = require('crypto')
+const { Base64 } = require('js-base64')
+const config = require('./config')
+const { ValidationError } = require('./errors')
+
+/**
+ * Opaque, tamper-proof pagination cursors.
+ * A cursor is the url-safe base64 encoding of: [version byte][JSON payload][HMAC-SHA256 of both].
+ * Besides the position in the result set, the payload carries fingerprints of the sort, direction, filter,
+ * search and custom query the cursor was issued for, so it cannot be replayed against a different query.
+ */
+const CURSOR_VERSION = 1
+const SIGNATURE_LENGTH = 32
+
+const getSecret = () => {
+  const secret = process.env.CURSOR_SECRET || config.cursorSecret
+  if (!secret) {
+    throw new Error('Cursor secret is not configured, set CURSOR_SECRET or config.cursorSecret')
+  }
+  return secret
+}
+
+const sign = data => crypto.createHmac('sha256', getSecret()).update(data).digest()
+
+/**
+ * Converts a value into a JSON serializable form that does not depend on key order and keeps symbol
+ * keys, e.g. sequelize operators such as Op.or
+ * @param {*} value - e.g. a sequelize 'where' object
+ * @returns {*} canonical representation of the value
+ */
+const canonicalize = value => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize)
+  } else if (value instanceof Date) {
+    return value.toISOString()
+  } else if (typeof value === 'bigint') {
+    return value.toString()
+  } else if (value && typeof value === 'object') {
+    return Reflect.ownKeys(value)
+      .map(key => [key.toString(), canonicalize(value[key])])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  }
+  return value === undefined ? null : value
+}
+
+/**
+ * @param {*} value - e.g. a sequelize 'where' object
+ * @returns {string} short hash identifying the value
+ */
+const fingerprint = value =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize(value)))
+    .digest('base64')
+    .slice(0, 16)
+
+/**
+ * Fingerprints of the parts of the query a cursor is bound to
+ * @param {object} context - see encodeCursor
+ * @returns {object} fingerprint per part, keyed by the name used in validation errors
+ */
+const getFingerprints = ({ order, query, search, where }) => ({
+  sort: fingerprint(order.map(([column]) => column)),
+  direction: fingerprint(order.map(([, sortDirection]) => sortDirection)),
+  filter: fingerprint(where),
+  search: fingerprint(search),
+  query: fingerprint(query)
+})
+
+/**
+ * @param {object} position - position of the edge, e.g. { p: 4 } or { k: ['100', 'bitcoin'] }
+ * @param {object} context - query the cursor is issued for
+ * @param {array} context.order - sequelize 'order' array, in the direction of forward pagination
+ * @param {object} context.where - sequelize 'where' object, without search
+ * @param {object} [context.search] - search object containing searchTerm and columns
+ * @param {object} [context.query] - queryString and replacements of a custom query, which filters and scopes
+ *      its rows itself
+ * @returns {string} signed cursor
+ */
+const encodeCursor = (position, context) => {
+  const payload = { ...position, q: getFingerprints(context) }
+  const data = Buffer.concat([Buffer.from([CURSOR_VERSION]), Buffer.from(JSON.stringify(payload))])
+  return Base64.fromUint8Array(Buffer.concat([data, sign(data)]), true)
+}
+
+/**
+ * Verifies a cursor and returns its position
+ * @param {string} cursor - signed cursor
+ * @param {object} context - query the cursor is used with, see encodeCursor
+ * @returns {object} position the cursor was encoded with
+ */
+const decodeCursor = (cursor, context) => {
+  const bytes = Buffer.from(Base64.isValid(cursor) ? Base64.toUint8Array(cursor) : [])
+
+  if (!bytes.length) {
+    throw new ValidationError('Invalid cursor')
+  } else if (bytes[0] !== CURSOR_VERSION) {
+    throw new ValidationError('Cursor format is no longer supported, restart pagination')
+  } else if (bytes.length <= SIGNATURE_LENGTH + 1) {
+    throw new ValidationError('Invalid cursor')
+  }
+
+  const data = bytes.slice(0, -SIGNATURE_LENGTH)
+  if (!crypto.timingSafeEqual(bytes.slice(-SIGNATURE_LENGTH), sign(data))) {
+    throw new ValidationError('Invalid cursor')
+  }
+
+  const { q, ...position } = JSON.parse(data.slice(1).toString())
+  const fingerprints = getFingerprints(context)
+  const mismatch = Object.keys(fingerprints).find(part => q[part] !== fingerprints[part])
+  if (mismatch) {
+    throw new ValidationError(`Cursor was issued for a different ${mismatch}, restart pagination`)
+  }
+  return position
+}
+
+module.exports = {
+  decodeCursor,
+  encodeCursor
+}
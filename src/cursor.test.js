@@ -0,0 +1,134 @@
+const { Base64 } = require('js-base64')
+const { decodeCursor, encodeCursor } = require('./cursor')
+const config = require('./config')
+
+describe('cursor', () => {
+  const context = {
+    order: [
+      ['market_cap', 'DESC NULLS LAST'],
+      ['id', 'DESC NULLS LAST']
+    ],
+    where: { rank: 1 }
+  }
+
+  beforeAll(() => {
+    config.cursorSecret = 'test secret'
+  })
+
+  it('decodes the position it was encoded with', () => {
+    expect(decodeCursor(encodeCursor({ p: 4 }, context), context)).toEqual({ p: 4 })
+    expect(decodeCursor(encodeCursor({ k: ['100', 'bitcoin'] }, context), context)).toEqual({
+      k: ['100', 'bitcoin']
+    })
+  })
+
+  it('is url safe', () => {
+    expect(encodeCursor({ k: ['ÿÿÿÿ>>>???'] }, context)).toMatch(/^[A-Za-z0-9_-]+$/)
+  })
+
+  it('rejects a cursor whose payload was tampered with', () => {
+    const bytes = Base64.toUint8Array(encodeCursor({ p: 4 }, context))
+    bytes[bytes.indexOf('4'.charCodeAt(0))] = '9'.charCodeAt(0)
+
+    expect(() => decodeCursor(Base64.fromUint8Array(bytes, true), context)).toThrowError(
+      'Validation error: Invalid cursor'
+    )
+  })
+
+  it('rejects a cursor signed with a different secret', () => {
+    const cursor = encodeCursor({ p: 4 }, context)
+    config.cursorSecret = 'another secret'
+
+    expect(() => decodeCursor(cursor, context)).toThrowError('Validation error: Invalid cursor')
+    config.cursorSecret = 'test secret'
+  })
+
+  it('rejects cursors of the old unsigned format', () => {
+    expect(() => decodeCursor(Base64.btoa('4'), context)).toThrowError(
+      'Validation error: Cursor format is no longer supported'
+    )
+  })
+
+  it('rejects garbage', () => {
+    expect(() => decodeCursor('%%%', context)).toThrowError('Validation error: Invalid cursor')
+    expect(() => decodeCursor('', context)).toThrowError('Validation error: Invalid cursor')
+  })
+
+  it('rejects a cursor issued for a different sort', () => {
+    const cursor = encodeCursor({ p: 4 }, context)
+    const order = [
+      ['display_name', 'DESC NULLS LAST'],
+      ['id', 'DESC NULLS LAST']
+    ]
+
+    expect(() => decodeCursor(cursor, { ...context, order })).toThrowError(
+      'Validation error: Cursor was issued for a different sort'
+    )
+  })
+
+  it('rejects a cursor issued for a different direction', () => {
+    const cursor = encodeCursor({ p: 4 }, context)
+    const order = [
+      ['market_cap', 'ASC NULLS LAST'],
+      ['id', 'ASC NULLS LAST']
+    ]
+
+    expect(() => decodeCursor(cursor, { ...context, order })).toThrowError(
+      'Validation error: Cursor was issued for a different direction'
+    )
+  })
+
+  it('rejects a cursor issued for a different filter', () => {
+    const cursor = encodeCursor({ p: 4 }, context)
+
+    expect(() => decodeCursor(cursor, { ...context, where: { rank: 2 } })).toThrowError(
+      'Validation error: Cursor was issued for a different filter'
+    )
+  })
+
+  it('tells sequelize operators apart in filters', () => {
+    const cursor = encodeCursor(
+      { p: 4 },
+      { ...context, where: { [Symbol.for('or')]: [{ rank: 1 }] } }
+    )
+    const where = { [Symbol.for('and')]: [{ rank: 1 }] }
+
+    expect(() => decodeCursor(cursor, { ...context, where })).toThrowError(
+      'Validation error: Cursor was issued for a different filter'
+    )
+  })
+
+  it('does not depend on the key order of filters', () => {
+    const cursor = encodeCursor({ p: 4 }, { ...context, where: { rank: 1, symbol: 'BTC' } })
+
+    expect(decodeCursor(cursor, { ...context, where: { symbol: 'BTC', rank: 1 } })).toEqual({
+      p: 4
+    })
+  })
+
+  it('rejects a cursor issued for a different search', () => {
+    const search = { columns: ['symbol'], searchTerm: 'bit' }
+    const cursor = encodeCursor({ p: 4 }, { ...context, search })
+
+    expect(() =>
+      decodeCursor(cursor, { ...context, search: { ...search, searchTerm: 'eth' } })
+    ).toThrowError('Validation error: Cursor was issued for a different search')
+  })
+
+  it('rejects a cursor issued for a different custom query', () => {
+    const query = { queryString: 'SELECT * FROM markets WHERE id = ?', replacements: [BigInt(1)] }
+    const cursor = encodeCursor({ p: 4 }, { ...context, query })
+
+    expect(decodeCursor(cursor, { ...context, query })).toEqual({ p: 4 })
+    expect(() =>
+      decodeCursor(cursor, { ...context, query: { ...query, replacements: [BigInt(2)] } })
+    ).toThrowError('Validation error: Cursor was issued for a different query')
+  })
+
+  it('throws when no secret is configured', () => {
+    config.cursorSecret = null
+
+    expect(() => encodeCursor({ p: 4 }, context)).toThrowError('Cursor secret is not configured')
+    config.cursorSecret = 'test secret'
+  })
+})
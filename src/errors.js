@@ -0,0 +1,105 @@
+const { GraphQLError } = require('graphql')
+const { getLogger } = require('./instrumentation')
+
+const UNEXPECTED_ERROR_MESSAGE = 'An unexpected error has occurred. Please try back again later.'
+
+/**
+ * Errors safe to expose to clients. Their extensions, e.g. { code: 'BAD_USER_INPUT', field: 'first' }, are
+ * copied onto the GraphQLError by the graphQL executor. Any other error is internal, see formatError.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - client facing message
+   * @param {string} code - machine readable error code
+   * @param {object} [extensions] - additional extensions, e.g. field: argument path of the invalid input
+   */
+  constructor(message, code, extensions = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.extensions = { ...extensions, code }
+  }
+}
+
+/**
+ * Invalid arguments, its message keeps the 'Validation error: ' prefix clients match on
+ */
+class ValidationError extends ApiError {
+  /**
+   * @param {string} message - e.g. 'Invalid cursor'
+   * @param {string} [field] - argument path of the invalid input, e.g. 'first' or 'filter.marketCapUsd'
+   */
+  constructor(message, field) {
+    super(`Validation error: ${message}`, 'BAD_USER_INPUT', field ? { field } : {})
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message) {
+    super(message, 'NOT_FOUND')
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'You are not allowed to access this resource') {
+    super(message, 'FORBIDDEN')
+  }
+}
+
+class RateLimitError extends ApiError {
+  constructor(message) {
+    super(message, 'RATE_LIMITED')
+  }
+}
+
+/**
+ * Wraps an unexpected error behind a generic message, the wrapped error is kept as cause for logging
+ */
+class InternalError extends ApiError {
+  /**
+   * @param {Error} [cause] - original error, never exposed to clients
+   */
+  constructor(cause) {
+    super(UNEXPECTED_ERROR_MESSAGE, 'INTERNAL_SERVER_ERROR')
+    this.cause = cause
+  }
+}
+
+/**
+ * @param {Error} error - any error
+ * @returns {boolean} whether the error may be shown to clients as is
+ */
+const isSafeError = error => error instanceof ApiError && !(error instanceof InternalError)
+
+/**
+ * Formats the errors of graphQL responses, for the formatError option of the server. Errors raised by
+ * resolvers are exposed when they are ApiErrors, any other error is logged and replaced with a generic
+ * internal error. Errors of the graphQL executor itself, e.g. syntax or validation errors, are exposed.
+ * @param {object} error - GraphQLError
+ * @param {object} [options]
+ *      @param {object} [options.logger] - logger of the internal errors, defaults to config.logger
+ * @returns {object} sanitised error, as sent to the client
+ */
+const formatError = (error, { logger = getLogger() } = {}) => {
+  const originalError = error.originalError
+  if (!originalError || originalError instanceof GraphQLError || isSafeError(originalError)) {
+    return error.toJSON()
+  }
+
+  logger.error('Unexpected error:', (originalError && originalError.cause) || originalError)
+  return {
+    ...error.toJSON(),
+    message: UNEXPECTED_ERROR_MESSAGE,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' }
+  }
+}
+
+module.exports = {
+  ApiError,
+  ForbiddenError,
+  InternalError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  formatError,
+  isSafeError
+}
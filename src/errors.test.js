@@ -0,0 +1,110 @@
+const { buildSchema, graphql } = require('graphql')
+const {
+  ForbiddenError,
+  InternalError,
+  NotFoundError,
+  RateLimitError,
+  ValidationError,
+  formatError
+} = require('./errors')
+
+describe('error classes', () => {
+  it('carry a code in their extensions', () => {
+    expect(new ValidationError('Invalid cursor').extensions).toEqual({ code: 'BAD_USER_INPUT' })
+    expect(new NotFoundError('Asset not found').extensions).toEqual({ code: 'NOT_FOUND' })
+    expect(new ForbiddenError().extensions).toEqual({ code: 'FORBIDDEN' })
+    expect(new RateLimitError('Slow down').extensions).toEqual({ code: 'RATE_LIMITED' })
+    expect(new InternalError(new Error('boom')).extensions).toEqual({
+      code: 'INTERNAL_SERVER_ERROR'
+    })
+  })
+
+  it('prefix validation messages and carry the invalid argument', () => {
+    const error = new ValidationError('Unknown filter field "price"', 'filter.price')
+
+    expect(error.message).toEqual('Validation error: Unknown filter field "price"')
+    expect(error.extensions).toEqual({ code: 'BAD_USER_INPUT', field: 'filter.price' })
+    expect(error.name).toEqual('ValidationError')
+  })
+
+  it('hide the cause of internal errors', () => {
+    const cause = new Error('relation "assets_mv" does not exist')
+    const error = new InternalError(cause)
+
+    expect(error.message).toEqual('An unexpected error has occurred. Please try back again later.')
+    expect(error.cause).toBe(cause)
+  })
+})
+
+describe('formatError', () => {
+  const schema = buildSchema(`
+    type Query {
+      asset: String
+      exchange: String
+      market: String
+    }
+  `)
+  const rootValue = {
+    asset: () => {
+      throw new NotFoundError('Asset not found')
+    },
+    exchange: () => {
+      throw new Error('password authentication failed for user "api"')
+    },
+    market: () => {
+      throw new InternalError(new Error('connection refused'))
+    }
+  }
+  const execute = async (source, logger) => {
+    const result = await graphql({ rootValue, schema, source })
+    return result.errors.map(error => formatError(error, { logger }))
+  }
+
+  it('exposes api errors with their code', async () => {
+    const logger = { error: jest.fn() }
+
+    expect(await execute('{ asset }', logger)).toEqual([
+      {
+        extensions: { code: 'NOT_FOUND' },
+        locations: [{ column: 3, line: 1 }],
+        message: 'Asset not found',
+        path: ['asset']
+      }
+    ])
+    expect(logger.error).not.toHaveBeenCalled()
+  })
+
+  it('logs and sanitises unexpected errors', async () => {
+    const logger = { error: jest.fn() }
+
+    expect(await execute('{ exchange market }', logger)).toEqual([
+      {
+        extensions: { code: 'INTERNAL_SERVER_ERROR' },
+        locations: [{ column: 3, line: 1 }],
+        message: 'An unexpected error has occurred. Please try back again later.',
+        path: ['exchange']
+      },
+      {
+        extensions: { code: 'INTERNAL_SERVER_ERROR' },
+        locations: [{ column: 12, line: 1 }],
+        message: 'An unexpected error has occurred. Please try back again later.',
+        path: ['market']
+      }
+    ])
+    expect(logger.error.mock.calls.map(([, error]) => error.message)).toEqual([
+      'password authentication failed for user "api"',
+      'connection refused'
+    ])
+  })
+
+  it('exposes graphQL errors', async () => {
+    const logger = { error: jest.fn() }
+
+    expect(await execute('{ price }', logger)).toEqual([
+      {
+        locations: [{ column: 3, line: 1 }],
+        message: 'Cannot query field "price" on type "Query".'
+      }
+    ])
+  })
+})
@@ -0,0 +1,128 @@
+const { ValidationError } = require('./errors')
+
+/**
+ * A fieldMap maps graphQL field names to DB data. Its entries are one of
+ *   'market_cap'                       DB column
+ *   'asset.symbol'                     dotted path into an included association or a JSONB column, read only
+ *   row => value                       computed field, read only
+ *   { column, path, resolve, sortable, searchable, filterable }
+ * The object form sets what a field reads, path (dotted) or resolve, apart from the column its sorts, searches
+ * and filters run on, e.g. { path: 'asset.symbol', column: '$asset.symbol$', sortable: true }. Fields with a
+ * column are sortable, searchable and filterable unless declared otherwise, read only fields are none of them.
+ */
+const CAPABILITIES = { filterable: 'filter', searchable: 'search', sortable: 'sort' }
+
+// normalized fieldMaps, fieldMaps are declared once per type and reused by every query
+const normalizedFieldMaps = new WeakMap()
+
+/**
+ * @param {object} fieldMap - mapping of graphQL field names to their DB data
+ * @returns {object} normalized entry per graphQL field name:
+ *      { column, field, path, resolve, sortable, searchable, filterable }
+ */
+const getFields = fieldMap => {
+  if (!normalizedFieldMaps.has(fieldMap)) {
+    normalizedFieldMaps.set(
+      fieldMap,
+      Object.keys(fieldMap).reduce(
+        (fields, field) => ({ ...fields, [field]: normalizeEntry(field, fieldMap[field]) }),
+        {}
+      )
+    )
+  }
+  return normalizedFieldMaps.get(fieldMap)
+}
+
+const normalizeEntry = (field, entry) => {
+  if (typeof entry === 'function') {
+    entry = { resolve: entry }
+  } else if (typeof entry === 'string') {
+    entry = entry.includes('.') ? { path: entry } : { column: entry }
+  }
+  if (!entry || typeof entry !== 'object' || !(entry.column || entry.path || entry.resolve)) {
+    throw new Error(`The fieldMap entry of "${field}" needs a column, a path or a resolve function`)
+  }
+
+  const column = entry.column || null
+  return Object.keys(CAPABILITIES).reduce(
+    (normalized, capability) => {
+      if (entry[capability] && !column) {
+        throw new Error(`The fieldMap entry of "${field}" needs a column to be ${capability}`)
+      }
+      return { ...normalized, [capability]: column ? entry[capability] !== false : false }
+    },
+    {
+      column,
+      field,
+      path: entry.resolve ? null : (entry.path || column).split('.'),
+      resolve: entry.resolve || null
+    }
+  )
+}
+
+/**
+ * @param {object} row - DB row or sequelize instance
+ * @param {object} entry - normalized fieldMap entry
+ * @returns {*} value of the field
+ */
+const getFieldValue = (row, entry) =>
+  entry.resolve
+    ? entry.resolve(row)
+    : entry.path.reduce(
+        (value, key) => (value === null || value === undefined ? value : value[key]),
+        row
+      )
+
+/**
+ * @param {object} fieldMap - mapping of graphQL field names to their DB data
+ * @param {string} capability - 'sortable', 'searchable' or 'filterable'
+ * @returns {array} graphQL field names with the capability
+ */
+const getFieldNames = (fieldMap, capability) => {
+  const fields = getFields(fieldMap)
+  return Object.keys(fields).filter(field => fields[field][capability])
+}
+
+/**
+ * @param {object} fieldMap - mapping of graphQL field names to their DB data
+ * @param {string} field - graphQL field name
+ * @param {string} capability - 'sortable', 'searchable' or 'filterable'
+ * @param {string} [argument] - argument path reported by the validation error, e.g. 'filter.marketCapUsd'
+ * @returns {string} DB column of the field
+ */
+const getColumn = (fieldMap, field, capability, argument = CAPABILITIES[capability]) => {
+  const fields = getFields(fieldMap)
+  if (!Object.prototype.hasOwnProperty.call(fields, field)) {
+    throw new ValidationError(`Unknown ${CAPABILITIES[capability]} field "${field}"`, argument)
+  } else if (!fields[field][capability]) {
+    throw new ValidationError(`Field "${field}" is not ${capability}`, argument)
+  }
+  return fields[field].column
+}
+
+/**
+ * @param {object} fieldMap - mapping of graphQL field names to their DB data
+ * @returns {string} DB column of the id field, null when it has none
+ */
+const getIdColumn = fieldMap => {
+  const fields = getFields(fieldMap)
+  return fields.id ? fields.id.column : null
+}
+
+/**
+ * Column of the global IDs of a node type, shared by connection edges and the node registry
+ * @param {object} fieldMap - mapping of graphQL field names to their DB data
+ * @param {object} model - sequelize model of the type
+ * @returns {string} DB column of the id field, else the model's primary key
+ */
+const getNodeIdColumn = (fieldMap, model) =>
+  getIdColumn(fieldMap) || model.primaryKeyAttribute || 'id'
+
+module.exports = {
+  getColumn,
+  getFieldNames,
+  getFieldValue,
+  getFields,
+  getIdColumn,
+  getNodeIdColumn
+}
@@ -0,0 +1,99 @@
+const {
+  getColumn,
+  getFieldNames,
+  getFieldValue,
+  getFields,
+  getIdColumn,
+  getNodeIdColumn
+} = require('./fieldMap')
+
+describe('fieldMap', () => {
+  const fieldMap = {
+    id: 'slug',
+    name: { column: 'display_name', sortable: false },
+    quoteSymbol: 'quote.symbol',
+    baseSymbol: { path: 'base.symbol', column: '$base.symbol$', searchable: false },
+    website: 'metadata.links.website',
+    label: row => `${row.display_name} (${row.symbol})`
+  }
+
+  it('normalizes columns, dotted paths and computed fields', () => {
+    const fields = getFields(fieldMap)
+
+    expect(fields.id).toEqual({
+      column: 'slug',
+      field: 'id',
+      filterable: true,
+      path: ['slug'],
+      resolve: null,
+      searchable: true,
+      sortable: true
+    })
+    expect(fields.quoteSymbol).toMatchObject({
+      column: null,
+      filterable: false,
+      path: ['quote', 'symbol'],
+      searchable: false,
+      sortable: false
+    })
+    expect(fields.label).toMatchObject({ column: null, path: null, sortable: false })
+    expect(getFields(fieldMap)).toBe(fields)
+  })
+
+  it('reads the value of each kind of field', () => {
+    const fields = getFields(fieldMap)
+    const row = {
+      base: { symbol: 'BTC' },
+      display_name: 'Bitcoin',
+      metadata: { links: null },
+      quote: { symbol: 'USD' },
+      slug: 'bitcoin',
+      symbol: 'BTC'
+    }
+
+    expect(getFieldValue(row, fields.id)).toEqual('bitcoin')
+    expect(getFieldValue(row, fields.quoteSymbol)).toEqual('USD')
+    expect(getFieldValue(row, fields.baseSymbol)).toEqual('BTC')
+    expect(getFieldValue(row, fields.website)).toEqual(null)
+    expect(getFieldValue({ ...row, metadata: undefined }, fields.website)).toEqual(undefined)
+    expect(getFieldValue(row, fields.label)).toEqual('Bitcoin (BTC)')
+  })
+
+  it('lists the fields of a capability', () => {
+    expect(getFieldNames(fieldMap, 'sortable')).toEqual(['id', 'baseSymbol'])
+    expect(getFieldNames(fieldMap, 'searchable')).toEqual(['id', 'name'])
+    expect(getFieldNames(fieldMap, 'filterable')).toEqual(['id', 'name', 'baseSymbol'])
+  })
+
+  it('returns the column of a field with the capability', () => {
+    expect(getColumn(fieldMap, 'baseSymbol', 'sortable')).toEqual('$base.symbol$')
+    expect(getIdColumn(fieldMap)).toEqual('slug')
+    expect(getIdColumn({ name: 'name' })).toEqual(null)
+    expect(getNodeIdColumn(fieldMap, { primaryKeyAttribute: 'uuid' })).toEqual('slug')
+    expect(getNodeIdColumn({ name: 'name' }, { primaryKeyAttribute: 'uuid' })).toEqual('uuid')
+  })
+
+  it('rejects unknown fields and fields without the capability', () => {
+    expect(() => getColumn(fieldMap, 'price', 'sortable')).toThrow(
+      'Validation error: Unknown sort field "price"'
+    )
+    expect(() => getColumn(fieldMap, 'name', 'sortable')).toThrow(
+      'Validation error: Field "name" is not sortable'
+    )
+    expect(() => getColumn(fieldMap, 'label', 'filterable', 'filter.label')).toThrow(
+      expect.objectContaining({
+        extensions: { code: 'BAD_USER_INPUT', field: 'filter.label' },
+        message: 'Validation error: Field "label" is not filterable'
+      })
+    )
+  })
+
+  it('rejects invalid entries', () => {
+    expect(() => getFields({ rank: null })).toThrow(
+      'The fieldMap entry of "rank" needs a column, a path or a resolve function'
+    )
+    expect(() => getFields({ symbol: { path: 'asset.symbol', sortable: true } })).toThrow(
+      'The fieldMap entry of "symbol" needs a column to be sortable'
+    )
+  })
+})
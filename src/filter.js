@@ -0,0 +1,162 @@
+const { ValidationError } = require('./errors')
+const { getColumn } = require('./fieldMap')
+const { fragment, joinSql, quoteIdentifier } = require('./sql')
+
+/**
+ * Translates a declarative graphQL filter argument, e.g.
+ *   { marketCapUsd: { gt: 1000 }, symbol: { in: ['BTC', 'ETH'] }, OR: [{ rank: { lte: 10 } }, { rank: { isNull: true } }] }
+ * into a sequelize 'where' object, or an equivalent parameterised SQL fragment for custom queries.
+ * Field names are mapped to DB column names through the fieldMap, only whitelisted operators are accepted.
+ */
+const OPERATORS = {
+  eq: { op: '$eq', sql: '=' },
+  ne: { op: '$ne', sql: '<>' },
+  gt: { op: '$gt', sql: '>' },
+  gte: { op: '$gte', sql: '>=' },
+  lt: { op: '$lt', sql: '<' },
+  lte: { op: '$lte', sql: '<=' },
+  in: { op: '$in', sql: 'IN', list: true },
+  notIn: { op: '$notIn', sql: 'NOT IN', list: true },
+  isNull: { op: null, sql: null }
+}
+
+const LOGICAL_OPERATORS = ['AND', 'OR', 'NOT']
+
+/**
+ * Checks the filter and breaks it down into field conditions and logical sub filters
+ * @param {object} filter - graphQL filter argument
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @returns {array} one entry per key of the filter: { logical, filters } or { column, field, operators }
+ */
+const parseFilter = (filter, fieldMap) => {
+  if (!isObject(filter)) {
+    throw new ValidationError('Filter must be an object', 'filter')
+  }
+
+  return Object.keys(filter)
+    .filter(key => filter[key] !== undefined)
+    .map(key => {
+      const value = filter[key]
+      if (LOGICAL_OPERATORS.includes(key)) {
+        const filters = key === 'NOT' ? [value] : value
+        if (!Array.isArray(filters) || !filters.length || !filters.every(isNonEmptyObject)) {
+          throw new ValidationError(
+            `Filter ${key} must be a non-empty list of non-empty filters`,
+            `filter.${key}`
+          )
+        }
+        return { logical: key, filters: filters.map(subFilter => parseFilter(subFilter, fieldMap)) }
+      }
+      const column = getColumn(fieldMap, key, 'filterable', `filter.${key}`)
+      const operators = isObject(value)
+        ? Object.keys(value).filter(name => value[name] !== undefined)
+        : []
+      if (!operators.length) {
+        throw new ValidationError(`Filter on "${key}" must specify an operator`, `filter.${key}`)
+      }
+      return {
+        column,
+        field: key,
+        operators: operators.map(name => parseOperator(key, name, value[name]))
+      }
+    })
+}
+
+const parseOperator = (field, name, value) => {
+  const operator = Object.prototype.hasOwnProperty.call(OPERATORS, name) && OPERATORS[name]
+  if (!operator) {
+    throw new ValidationError(
+      `Unsupported filter operator "${name}" on "${field}"`,
+      `filter.${field}.${name}`
+    )
+  } else if (operator.list && (!Array.isArray(value) || !value.length)) {
+    throw new ValidationError(
+      `Filter operator "${name}" on "${field}" requires a non-empty list`,
+      `filter.${field}.${name}`
+    )
+  } else if (name === 'isNull' && typeof value !== 'boolean') {
+    throw new ValidationError(
+      `Filter operator "isNull" on "${field}" requires a boolean`,
+      `filter.${field}.isNull`
+    )
+  } else if (value === null && name !== 'eq' && name !== 'ne') {
+    throw new ValidationError(
+      `Filter operator "${name}" on "${field}" does not accept null`,
+      `filter.${field}.${name}`
+    )
+  }
+  return { name, value, ...operator }
+}
+
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+const isNonEmptyObject = value => isObject(value) && Object.keys(value).length > 0
+
+/**
+ * @param {object} filter - graphQL filter argument
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @returns {object} sequelize 'where' object
+ */
+const filterToWhere = (filter, fieldMap) => toWhere(parseFilter(filter, fieldMap))
+
+const toWhere = conditions => (conditions.length ? { $and: conditions.map(conditionToWhere) } : {})
+
+const conditionToWhere = condition => {
+  if (condition.logical === 'AND') {
+    return { $and: condition.filters.map(toWhere) }
+  } else if (condition.logical === 'OR') {
+    return { $or: condition.filters.map(toWhere) }
+  } else if (condition.logical === 'NOT') {
+    return { $not: toWhere(condition.filters[0]) }
+  }
+  return {
+    [condition.column]: condition.operators.reduce(
+      (where, { name, op, value }) =>
+        name === 'isNull' ? { ...where, [value ? '$eq' : '$ne']: null } : { ...where, [op]: value },
+      {}
+    )
+  }
+}
+
+/**
+ * Raw SQL equivalent of filterToWhere, for use in a custom query, e.g. sql`SELECT ... WHERE ${filterToSql(...)}`
+ * @param {object} filter - graphQL filter argument
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @returns {object} SQL predicate and its '?' replacements, the predicate is 'TRUE' for an empty filter
+ */
+const filterToSql = (filter, fieldMap) => toSql(parseFilter(filter, fieldMap), ' AND ')
+
+const toSql = (conditions, separator) => {
+  const fragments = conditions.map(condition => {
+    if (condition.logical === 'NOT') {
+      const { sql, replacements } = toSql(condition.filters[0], ' AND ')
+      return fragment(`NOT ${sql}`, replacements)
+    } else if (condition.logical) {
+      return joinSql(
+        condition.filters.map(subFilter => toSql(subFilter, ' AND ')),
+        condition.logical === 'OR' ? ' OR ' : ' AND '
+      )
+    }
+    return joinSql(
+      condition.operators.map(operator => getOperatorSql(condition.column, operator)),
+      ' AND '
+    )
+  })
+  return fragments.length ? joinSql(fragments, separator) : fragment('TRUE')
+}
+
+const getOperatorSql = (column, { name, sql, list, value }) => {
+  const quotedColumn = quoteIdentifier(column)
+  if (name === 'isNull' || value === null) {
+    const isNull = name === 'isNull' ? value : name === 'eq'
+    return fragment(`${quotedColumn} IS ${isNull ? '' : 'NOT '}NULL`)
+  } else if (list) {
+    return fragment(`${quotedColumn} ${sql} (${value.map(() => '?').join(', ')})`, value)
+  }
+  return fragment(`${quotedColumn} ${sql} ?`, [value])
+}
+
+module.exports = {
+  filterToSql,
+  filterToWhere
+}
@@ -0,0 +1,122 @@
+const { filterToSql, filterToWhere } = require('./filter')
+const assetsFieldMap = require('./schema/Asset/resolvers').fieldMap
+
+describe('filterToWhere', () => {
+  it('maps fields to columns and operators to sequelize operators', () => {
+    expect(
+      filterToWhere(
+        { marketCapUsd: { gt: 1000, lte: 5000 }, symbol: { in: ['BTC', 'ETH'] } },
+        assetsFieldMap
+      )
+    ).toEqual({
+      $and: [{ market_cap: { $gt: 1000, $lte: 5000 } }, { symbol: { $in: ['BTC', 'ETH'] } }]
+    })
+  })
+
+  it('nests AND, OR and NOT', () => {
+    expect(
+      filterToWhere(
+        {
+          OR: [{ rank: { lte: 10 } }, { rank: { isNull: true } }],
+          AND: [{ name: { ne: 'Bitcoin' } }],
+          NOT: { symbol: { eq: 'ETH' } }
+        },
+        assetsFieldMap
+      )
+    ).toEqual({
+      $and: [
+        { $or: [{ $and: [{ rank: { $lte: 10 } }] }, { $and: [{ rank: { $eq: null } }] }] },
+        { $and: [{ $and: [{ display_name: { $ne: 'Bitcoin' } }] }] },
+        { $not: { $and: [{ symbol: { $eq: 'ETH' } }] } }
+      ]
+    })
+  })
+
+  it('ignores undefined values and returns an empty where object for an empty filter', () => {
+    expect(filterToWhere({ rank: undefined }, assetsFieldMap)).toEqual({})
+    expect(filterToWhere({ rank: { eq: 1, ne: undefined } }, assetsFieldMap)).toEqual({
+      $and: [{ rank: { $eq: 1 } }]
+    })
+  })
+
+  it.each([
+    [{ market_cap: { gt: 1 } }, 'Validation error: Unknown filter field "market_cap"'],
+    [{ rank: { like: '%' } }, 'Validation error: Unsupported filter operator "like" on "rank"'],
+    [{ rank: { $gt: 1 } }, 'Validation error: Unsupported filter operator "$gt" on "rank"'],
+    [
+      { rank: { toString: 1 } },
+      'Validation error: Unsupported filter operator "toString" on "rank"'
+    ],
+    [{ rank: 1 }, 'Validation error: Filter on "rank" must specify an operator'],
+    [{ rank: {} }, 'Validation error: Filter on "rank" must specify an operator'],
+    [
+      { rank: { in: [] } },
+      'Validation error: Filter operator "in" on "rank" requires a non-empty list'
+    ],
+    [
+      { rank: { in: 1 } },
+      'Validation error: Filter operator "in" on "rank" requires a non-empty list'
+    ],
+    [
+      { rank: { isNull: 'yes' } },
+      'Validation error: Filter operator "isNull" on "rank" requires a boolean'
+    ],
+    [
+      { rank: { gt: null } },
+      'Validation error: Filter operator "gt" on "rank" does not accept null'
+    ],
+    [{ OR: [] }, 'Validation error: Filter OR must be a non-empty list of non-empty filters'],
+    [{ OR: [{}] }, 'Validation error: Filter OR must be a non-empty list of non-empty filters'],
+    [{ NOT: null }, 'Validation error: Filter NOT must be a non-empty list of non-empty filters'],
+    [null, 'Validation error: Filter must be an object']
+  ])('rejects %j', (filter, message) => {
+    expect(() => filterToWhere(filter, assetsFieldMap)).toThrowError(message)
+  })
+
+  it('rejects fields that are not filterable', () => {
+    const fieldMap = { rank: { column: 'rank', filterable: false }, label: row => row.name }
+
+    expect(() => filterToWhere({ rank: { gt: 1 } }, fieldMap)).toThrowError(
+      'Validation error: Field "rank" is not filterable'
+    )
+    expect(() => filterToWhere({ label: { eq: 'BTC' } }, fieldMap)).toThrowError(
+      'Validation error: Field "label" is not filterable'
+    )
+  })
+})
+
+describe('filterToSql', () => {
+  it('builds a parameterised predicate', () => {
+    expect(
+      filterToSql({ marketCapUsd: { gt: 1000 }, symbol: { notIn: ['BTC', 'ETH'] } }, assetsFieldMap)
+    ).toEqual({
+      sql: '("market_cap" > ? AND "symbol" NOT IN (?, ?))',
+      replacements: [1000, 'BTC', 'ETH']
+    })
+  })
+
+  it('nests AND, OR and NOT', () => {
+    expect(
+      filterToSql(
+        {
+          OR: [{ rank: { lte: 10 } }, { rank: { isNull: true }, name: { eq: null } }],
+          NOT: { symbol: { eq: "ETH'; DROP TABLE assets; --" } }
+        },
+        assetsFieldMap
+      )
+    ).toEqual({
+      sql: '(("rank" <= ? OR ("rank" IS NULL AND "display_name" IS NULL)) AND NOT "symbol" = ?)',
+      replacements: [10, "ETH'; DROP TABLE assets; --"]
+    })
+  })
+
+  it('matches everything for an empty filter', () => {
+    expect(filterToSql({}, assetsFieldMap)).toEqual({ sql: 'TRUE', replacements: [] })
+  })
+
+  it('validates like filterToWhere', () => {
+    expect(() => filterToSql({ rank: { like: '%' } }, assetsFieldMap)).toThrowError(
+      'Validation error: Unsupported filter operator "like" on "rank"'
+    )
+  })
+})
@@ -0,0 +1,78 @@
+const config = require('./config')
+
+/**
+ * Logging and query instrumentation, both injected through config:
+ *   config.logger - logger with error, warn, info and debug methods, e.g. a pino or winston instance,
+ *       defaults to console
+ *   config.onQuery - hook called once per query issued, e.g. to trace slow pagination or record metrics
+ */
+
+/**
+ * @returns {object} the configured logger
+ */
+const getLogger = () => config.logger || console
+
+/**
+ * Issues a query and reports it to config.onQuery with the event
+ *   { name, duration, rowCount, cacheHit: false, error, ...details }
+ * name tells what the query is for: 'page', 'count', 'probe' (whether rows exist past a keyset cursor) or 'nodes',
+ * duration is in milliseconds, rowCount the number of rows returned and error set when the query failed.
+ * Reused counts are reported with cacheHit: true, see reportCacheHit.
+ * @param {string} name - what the query is for
+ * @param {object} details - the query, { sql, replacements } for raw SQL, sequelize options and the model name
+ *      for model queries
+ * @param {function} run - () => Promise of the query results
+ * @returns {Promise} Promise object represents the query results
+ */
+const instrumentQuery = (name, details, run) => {
+  if (!config.onQuery) {
+    return run()
+  }
+  const start = process.hrtime.bigint()
+  const report = (result, error) =>
+    reportQuery({
+      ...details,
+      cacheHit: false,
+      duration: Number(process.hrtime.bigint() - start) / 1e6,
+      error,
+      name,
+      rowCount: error ? 0 : Array.isArray(result) ? result.length : Number(result != null)
+    })
+
+  return run().then(
+    result => {
+      report(result)
+      return result
+    },
+    error => {
+      report(undefined, error)
+      throw error
+    }
+  )
+}
+
+/**
+ * Reports a query answered without hitting the database, e.g. a count shared by getOffset and totalCount
+ * @param {string} name - what the query is for
+ * @param {object} [details] - the query
+ */
+const reportCacheHit = (name, details = {}) => {
+  if (config.onQuery) {
+    reportQuery({ ...details, cacheHit: true, duration: 0, name, rowCount: 1 })
+  }
+}
+
+// a failing hook must not fail the query
+const reportQuery = event => {
+  try {
+    config.onQuery(event)
+  } catch (error) {
+    getLogger().error('Error in the onQuery hook:', error)
+  }
+}
+
+module.exports = {
+  getLogger,
+  instrumentQuery,
+  reportCacheHit
+}
@@ -0,0 +1,61 @@
+const { getLogger, instrumentQuery, reportCacheHit } = require('./instrumentation')
+const { applySerializers, serializers } = require('./serializers')
+const config = require('./config')
+
+describe('instrumentation', () => {
+  afterEach(() => {
+    config.logger = null
+    config.onQuery = null
+  })
+
+  it('uses the configured logger, console by default', () => {
+    expect(getLogger()).toBe(console)
+
+    config.logger = { error: jest.fn() }
+    applySerializers({ updatedAt: 'yesterday' }, { updatedAt: serializers.isoDate })
+
+    expect(getLogger()).toBe(config.logger)
+    expect(config.logger.error).toHaveBeenCalledWith(
+      'Error serializing field "updatedAt":',
+      new Error('Invalid date "yesterday"')
+    )
+  })
+
+  it('runs queries as is without a hook', async () => {
+    expect(await instrumentQuery('page', {}, () => Promise.resolve([1, 2]))).toEqual([1, 2])
+  })
+
+  it('reports queries and cache hits', async () => {
+    config.onQuery = jest.fn()
+
+    await instrumentQuery('count', { sql: 'SELECT count(*)' }, () => Promise.resolve(12))
+    reportCacheHit('count')
+
+    expect(config.onQuery.mock.calls).toEqual([
+      [
+        {
+          cacheHit: false,
+          duration: expect.any(Number),
+          error: undefined,
+          name: 'count',
+          rowCount: 1,
+          sql: 'SELECT count(*)'
+        }
+      ],
+      [{ cacheHit: true, duration: 0, name: 'count', rowCount: 1 }]
+    ])
+  })
+
+  it('logs errors of the hook instead of failing the query', async () => {
+    config.logger = { error: jest.fn() }
+    config.onQuery = () => {
+      throw new Error('metrics are down')
+    }
+
+    expect(await instrumentQuery('page', {}, () => Promise.resolve([]))).toEqual([])
+    expect(config.logger.error).toHaveBeenCalledWith(
+      'Error in the onQuery hook:',
+      new Error('metrics are down')
+    )
+  })
+})
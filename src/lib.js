@@ -1,5 +1,19 @@
-const { Base64 } = require('js-base64')
+const { toGlobalId } = require('graphql-relay')
 const config = require('./config')
+const { decodeCursor, encodeCursor } = require('./cursor')
+const { InternalError, NotFoundError, ValidationError, isSafeError } = require('./errors')
+const {
+  getColumn,
+  getFieldNames,
+  getFieldValue,
+  getFields,
+  getIdColumn,
+  getNodeIdColumn
+} = require('./fieldMap')
+const { instrumentQuery, reportCacheHit } = require('./instrumentation')
+const { filterToSql, filterToWhere } = require('./filter')
+const { applySerializers } = require('./serializers')
+const { fragment, isFragment, joinSql, quoteIdentifier } = require('./sql')
 
 /**
  * Implementation of the Relay-style cursor pagination specification for Sequelize + PostgresQL
@@ -7,179 +21,917 @@ const config = require('./config')
  *
  * @param {object} args - relay connection query arguments
  * Sort arguments:
- *      @param {string} args.sort - field name to sort by
- *      @param {string} args.direction - 'ASC' or 'DESC'
+ *      @param {string|array} args.sort - field name to sort by, or an ordered list of sort specs
+ *          { field, direction, nulls } e.g. [{ field: 'rank', direction: 'ASC' }, { field: 'marketCapUsd' }]
+ *      @param {string} args.direction - 'ASC' or 'DESC', default for sort specs without a direction
  * [Forward pagination arguments]:
  *      @param {number} [args.first] - page length, non‐negative integer
  *      @param {string} [args.after] - base64 encoded cursor
  * [Backward pagination arguments]:
  *      @param {number} [args.last] - page length, non‐negative integer
  *      @param {string} [args.before] - base64 encoded cursor
- * @param {object} [args.search] - contains searchTerm to search for and columns to search in
+ * All four may be combined as in the spec's algorithm: the results are sliced between `after` and `before`,
+ * then `first` and `last` are applied, in that order.
+ * @param {object} [args.search] - contains searchTerm to search for and columns to search in, see addSearchExpression,
+ *      not supported on custom queries
+ * @param {object} [args.filter] - graphQL filter argument, e.g. { marketCapUsd: { gt: 1000 } }, see filter.js.
+ *      Custom queries apply it themselves with filterToSql
  * @param {object} [model] - SequelizeCache instance containing model to query
- * @param {object} [fieldMap] - mapping of graphQL field names to their respective DB column names
+ * @param {object} [fieldMap] - mapping of graphQL field names to their respective DB column names, dotted paths
+ *      or computed fields, sorts, searches and filters are validated against it, see fieldMap.js
  * @param {object} [customQuery] - custom query object for queries w/o sequelize models
  *      @param {object} customQuery.db - SequelizeCache-QueryCache instance
- *      @param {string} customQuery.queryString - raw SQL query (requires 'count(*) OVER() AS full_count' for
- *          pagination calculation, see AssetMarket/resolvers.js for an example)
+ *      @param {object} [customQuery.sql] - query built with the sql tag of sql.js, instead of queryString and
+ *          replacements, e.g. sql`SELECT * FROM markets WHERE exchange_id = ${exchangeId}`
+ *      @param {string} customQuery.queryString - raw SQL query, it is wrapped as a subquery to page and count it
  *      @param {string} customQuery.replacements - sequelize replacements array, ex: ['bitcoin', 'bitcoin'] replaces ?
  *           in queryString
- * @returns {object} relay connection
+ * @param {object} [options] - pagination options
+ *      @param {boolean} [options.keyset] - use keyset (seek) cursors instead of offset-position cursors, not
+ *          available for sorts on timestamp columns
+ *      @param {string} [options.tiebreaker] - unique column appended to the order so rows sharing a sort value
+ *          are paginated deterministically, defaults to config.tiebreaker, then the model's primary key, for custom
+ *          queries the column of the fieldMap's id field
+ *      @param {boolean} [options.count] - set to false to never count the matching rows (totalCount resolves to
+ *          null), for tables where COUNT(*) is too expensive. Backward offset pagination still counts to
+ *          locate its cursor
+ *      @param {string} [options.nodeType] - graphQL type of the nodes, their id becomes the global ID of the type
+ *          and the row's id column, else the model's primary key (the tiebreaker of custom queries), resolvable
+ *          by the node field, see node.js
+ *      @param {object} [options.serializers] - serializer per graphQL field name applied to the nodes, see
+ *          serializers.js, createdAt, updatedAt and deletedAt default to epoch milliseconds
+ * @returns {object} relay connection, its totalCount is a thunk that only counts when the field is resolved
  */
 const createConnection = async (
-  { after, before, direction, first, last, search, sort, where = {} },
+  { after, before, direction, filter, first, last, search, sort, where = {} },
   model,
   fieldMap,
-  customQuery
+  customQuery,
+  options = {}
 ) => {
-  validate({ after, before, direction, fieldMap, sort, first, last })
+  const keyset = Boolean(options.keyset)
+  validate({ after, before, customQuery, direction, fieldMap, keyset, search, sort, first, last })
+  search = search ? sanitizeSearch(search) : search
+  if (filter && customQuery) {
+    // custom queries apply the filter in their SQL with filterToSql
+    throw new ValidationError('Filter is not supported on custom queries', 'filter')
+  }
+  where = filter ? combineWhere(where, filterToWhere(filter, fieldMap)) : where
 
+  const sequelize = model && model.sequelize
+  const tiebreaker = getTiebreaker(model, fieldMap, options)
   const { order, flip } = effectiveOrder({
     direction,
     fieldMap,
+    first,
     last,
-    sort
+    rank: search && search.orderByRank ? getSearchRank(search, fieldMap, sequelize) : undefined,
+    sort,
+    tiebreaker
   })
+  if (customQuery) {
+    validateCustomQueryOrder(order, fieldMap, tiebreaker)
+    customQuery = normalizeCustomQuery(customQuery)
+  } else if (keyset) {
+    validateKeysetOrder(order, model)
+  }
 
   let limit = flip ? last : first
-  const cursor = flip ? before : after
-  where = search ? addSearchExpression(where, search, fieldMap) : where
-  const offset = await getOffset(cursor, flip, where, model, customQuery)
+  // the lead cursor is where the page starts in query order, the bound cursor where the slice ends
+  const leadCursor = flip ? before : after
+  const boundCursor = flip ? after : before
+  // cursors are bound to the forward order, filter and search of the query they were issued for, custom
+  // queries filter and scope their rows in their SQL and replacements
+  const cursorContext = {
+    order: flip ? flipOrder(order) : order,
+    query: customQuery
+      ? { queryString: customQuery.queryString, replacements: customQuery.replacements }
+      : null,
+    search: search || null,
+    where
+  }
+  where = search ? addSearchExpression(where, search, fieldMap, sequelize) : where
+  let pageRows
+  // the count only runs when totalCount is resolved or backward offset pagination needs it
+  const countRows = memoize(
+    () => {
+      // backward offset pagination cannot locate its cursor without the count
+      if (options.count === false && (keyset || !flip)) {
+        return Promise.resolve(null)
+      }
+      return countAll({ customQuery, model, pageRows, where })
+    },
+    () => reportCacheHit('count')
+  )
+  // backward offset pages of custom queries locate their cursors in SQL, with the count of the same query
+  const positionsInSql = Boolean(customQuery) && flip && !keyset
+  const seekValues =
+    keyset && leadCursor ? decodeKeysetCursor(leadCursor, order, cursorContext) : null
+  const boundValues =
+    keyset && boundCursor ? decodeKeysetCursor(boundCursor, order, cursorContext) : null
   limit = limit || config.defaultLimit || 100
+  const keysetPredicates = [
+    seekValues && [order, seekValues],
+    boundValues && [flipOrder(order), boundValues]
+  ].filter(Boolean)
+  // number of rows between the lead and the bound cursor, offset mode knows it upfront
+  const getRange = async () => {
+    const offset = keyset ? 0 : await getOffset(leadCursor, flip, countRows, cursorContext)
+    const window =
+      !keyset && boundCursor
+        ? await getWindow(boundCursor, flip, offset, countRows, cursorContext)
+        : Infinity
+    return { offset, queryLimit: Math.min(limit, window), window }
+  }
 
-  if (customQuery) {
-    const queryAddOns = ` ORDER BY ${order[0][0]} ${order[0][1]} LIMIT ? OFFSET ?;`
-
-    return customQuery.db
-      .query(customQuery.queryString.concat(queryAddOns), {
-        replacements: customQuery.replacements.concat([limit + 1, offset]) // +1 to peek to see if there is more data
-      })
-      .then(results => {
-        const queryResults = {
-          rows: results,
-          count: results.length ? results[0].full_count : 0
+  let range
+  if (positionsInSql) {
+    pageRows = queryRaw(
+      'page',
+      customQuery.db,
+      getCustomQuery({
+        customQuery,
+        keysetPredicates,
+        limit,
+        order,
+        positions: {
+          bound: boundCursor ? decodePosition(boundCursor, cursorContext) : null,
+          lead: leadCursor ? decodePosition(leadCursor, cursorContext) : null
         }
-        return buildConnection(queryResults, limit, fieldMap, flip, offset, order)
       })
+    )
+    range = await getRange()
+  } else {
+    range = await getRange()
+    pageRows = customQuery
+      ? queryRaw(
+          'page',
+          customQuery.db,
+          getCustomQuery({
+            count: options.count !== false,
+            customQuery,
+            keysetPredicates,
+            limit: range.queryLimit,
+            offset: range.offset,
+            order
+          })
+        )
+      : queryModel('page', model, 'findAll', {
+          limit: range.queryLimit + 1, // +1 to peek to see if there is more data
+          offset: range.offset,
+          order,
+          where: keysetPredicates.length
+            ? {
+                $and: [where].concat(
+                  keysetPredicates.map(([predicateOrder, values]) =>
+                    getKeysetWhere(predicateOrder, values)
+                  )
+                )
+              }
+            : where
+        })
+  }
+  const { offset, queryLimit, window } = range
+
+  const hasSkippedResults =
+    seekValues && !config.strictPageInfo
+      ? hasRowsBeforeCursor({ customQuery, model, order, seekValues, where })
+      : offset > 0
+  // rows at or past the bound cursor exist past the page, unless the page stops short of the bound
+  const hasRowsBeyondBound =
+    boundValues && !config.strictPageInfo
+      ? hasRowsBeforeCursor({
+          customQuery,
+          model,
+          order: flipOrder(order),
+          seekValues: boundValues,
+          where
+        })
+      : false
+
+  return Promise.all([
+    pageRows,
+    hasSkippedResults,
+    hasRowsBeyondBound,
+    // offset cursors of backward pages are positions counted from the end
+    flip && !keyset ? countRows() : undefined
+  ]).then(([rows, hasSkipped, hasBeyondBound, count]) =>
+    buildConnection(
+      { count, rows },
+      {
+        countRows,
+        cursorContext,
+        fieldMap,
+        flip,
+        getNodeId: getNodeIdGetter(options.nodeType, fieldMap, model, tiebreaker),
+        hasRowsBeyondBound: hasBeyondBound,
+        serializers: options.serializers,
+        hasSkippedResults: hasSkipped,
+        keyset,
+        last: flip ? undefined : last,
+        limit: queryLimit,
+        offset,
+        order,
+        // in offset mode the peeked row lies past the bound cursor when the window is the limit
+        peekInWindow: window > limit
+      }
+    )
+  )
+}
+
+/**
+ * Batched createConnection for nested connections: pages the rows of many parents, e.g. the markets of each
+ * exchange, with a single windowed query numbering and counting the rows of each parent. Offset cursors only,
+ * they are interchangeable with those of createConnection scoped by where: { [parentColumn]: parentId }.
+ * @param {object} args - relay connection query arguments, see createConnection, without search
+ * @param {object} parents - parents to page the rows of
+ *      @param {string} parents.parentColumn - column of customQuery's rows referencing the parent
+ *      @param {array} parents.parentIds - ids of the parents
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @param {object} customQuery - custom query of the rows of all parents, see createConnection
+ * @param {object} [options] - pagination options, see createConnection, except keyset
+ * @returns {Promise} Promise object represents one relay connection per parent id, in order, or the Error of
+ *      that parent, e.g. for a cursor issued for a different parent
+ */
+const createConnections = async (
+  { after, before, direction, filter, first, last, search, sort },
+  { parentColumn, parentIds },
+  fieldMap,
+  customQuery,
+  options = {}
+) => {
+  validate({ after, before, customQuery, direction, fieldMap, sort, first, last })
+  if (search) {
+    throw new ValidationError('Search is not supported on batched connections')
+  } else if (options.keyset) {
+    throw new Error('Batched connections do not support keyset cursors')
+  }
+
+  const tiebreaker = getTiebreaker(undefined, fieldMap, options)
+  const { order, flip } = effectiveOrder({ direction, fieldMap, first, last, sort, tiebreaker })
+  const forwardOrder = flip ? flipOrder(order) : order
+  validateCustomQueryOrder(order, fieldMap, tiebreaker)
+  customQuery = normalizeCustomQuery(customQuery)
+  const filterWhere = filter ? filterToWhere(filter, fieldMap) : null
+  const limit = (flip ? last : first) || config.defaultLimit || 100
+
+  // cursors are bound to their parent, they only decode for the parent they were issued for
+  const parents = parentIds.map(parentId => {
+    const where = { [parentColumn]: parentId }
+    const cursorContext = {
+      order: forwardOrder,
+      search: null,
+      where: filterWhere ? combineWhere(where, filterWhere) : where
+    }
+    try {
+      return {
+        afterPosition: after ? decodePosition(after, cursorContext) : null,
+        beforePosition: before ? decodePosition(before, cursorContext) : null,
+        cursorContext,
+        parentId
+      }
+    } catch (error) {
+      return { error, parentId }
+    }
+  })
+  const validParents = parents.filter(parent => !parent.error)
+  // keyed by string, the driver may return ids as strings, e.g. bigint columns
+  const rowsByParent = new Map(validParents.map(({ parentId }) => [String(parentId), []]))
+
+  if (validParents.length) {
+    const { afterPosition, beforePosition } = validParents[0]
+    const rows = await queryRaw(
+      'page',
+      customQuery.db,
+      getPartitionedQuery({
+        afterPosition,
+        beforePosition,
+        customQuery,
+        filterSql: filter ? filterToSql(filter, fieldMap) : null,
+        flip,
+        limit,
+        order: forwardOrder,
+        parentColumn,
+        parentIds: validParents.map(parent => parent.parentId)
+      })
+    )
+    rows.forEach(row => {
+      const parentRows = rowsByParent.get(String(row[parentColumn]))
+      if (parentRows) {
+        parentRows.push(row)
+      }
+    })
   }
-  return model
-    .findAndCountAll({
-      limit: limit + 1, // +1 to peek to see if there is more data
+
+  return parents.map(parent =>
+    parent.error
+      ? parent.error
+      : buildPartitionConnection(rowsByParent.get(String(parent.parentId)), parent, {
+          fieldMap,
+          flip,
+          getNodeId: getNodeIdGetter(options.nodeType, fieldMap, undefined, tiebreaker),
+          last,
+          limit,
+          order,
+          serializers: options.serializers
+        })
+  )
+}
+
+/**
+ * Numbers the rows of each parent in forward order as connection_position and counts them as
+ * connection_count. Besides the page of each parent, including the peeked row, the first row of each parent
+ * is selected to carry the count of parents whose page is empty.
+ * @returns {array} arguments for customQuery.db.query
+ */
+const getPartitionedQuery = ({
+  afterPosition,
+  beforePosition,
+  customQuery,
+  filterSql,
+  flip,
+  limit,
+  order,
+  parentColumn,
+  parentIds
+}) => {
+  const partition = quoteIdentifier(parentColumn)
+  let range
+  if (flip) {
+    // SQL equivalent of getOffset and getWindow: the page ends right before the `before` cursor
+    const end =
+      beforePosition === null ? fragment('connection_count') : fragment('?', [beforePosition - 1])
+    range = fragment(
+      `connection_position BETWEEN ${end.sql} - LEAST(?, GREATEST(${end.sql} - ?, 0)) AND ${end.sql}`,
+      [...end.replacements, limit, ...end.replacements, afterPosition || 0, ...end.replacements]
+    )
+  } else {
+    const offset = afterPosition || 0
+    const window = beforePosition === null ? Infinity : Math.max(beforePosition - 1 - offset, 0)
+    // +1 to peek to see if there is more data
+    range = fragment('connection_position BETWEEN ? AND ?', [
+      offset + 1,
+      offset + Math.min(limit, window) + 1
+    ])
+  }
+  const where = joinSql(
+    [fragment(`${partition} IN (?)`, [parentIds])].concat(filterSql || []),
+    ' AND '
+  )
+
+  return [
+    'SELECT * FROM (' +
+      `SELECT *, ROW_NUMBER() OVER (PARTITION BY ${partition} ORDER BY ${getOrderBySql(order)}) ` +
+      'AS connection_position, ' +
+      `count(*) OVER (PARTITION BY ${partition}) AS connection_count ` +
+      `FROM (${customQuery.queryString}) AS connection WHERE ${where.sql}` +
+      `) AS connection WHERE connection_position = 1 OR ${range.sql} ` +
+      `ORDER BY ${partition}, connection_position;`,
+    {
+      replacements: customQuery.replacements.concat(where.replacements, range.replacements)
+    }
+  ]
+}
+
+/**
+ * Builds the connection of one parent from its numbered rows, see createConnections
+ * @returns {object} relay connection, or the Error of an invalid cursor
+ */
+const buildPartitionConnection = (
+  rows,
+  { afterPosition, beforePosition, cursorContext },
+  { fieldMap, flip, getNodeId, last, limit, order, serializers }
+) => {
+  const count = rows.length ? Number(rows[0].connection_count) : 0
+  let offset
+  let window
+  let pageRows
+  if (flip) {
+    offset = beforePosition === null ? 0 : count - beforePosition + 1
+    if (offset < 0) {
+      return new ValidationError('Invalid cursor')
+    }
+    window = afterPosition === null ? Infinity : Math.max(count - afterPosition - offset, 0)
+    const end = count - offset
+    const start = end - Math.min(limit, window)
+    pageRows = rows
+      .filter(
+        row => Number(row.connection_position) >= start && Number(row.connection_position) <= end
+      )
+      .reverse()
+  } else {
+    offset = afterPosition || 0
+    window = beforePosition === null ? Infinity : Math.max(beforePosition - 1 - offset, 0)
+    pageRows = rows.filter(row => Number(row.connection_position) > offset)
+  }
+
+  return buildConnection(
+    { count, rows: pageRows },
+    {
+      countRows: () => Promise.resolve(count),
+      cursorContext,
+      fieldMap,
+      flip,
+      getNodeId,
+      hasRowsBeyondBound: false,
+      hasSkippedResults: offset > 0,
+      keyset: false,
+      last: flip ? undefined : last,
+      limit: Math.min(limit, window),
       offset,
       order,
-      where
+      peekInWindow: window > limit,
+      serializers
+    }
+  )
+}
+
+/**
+ * Counts all rows matching the query, before paging. Custom queries have the count read from the full_count
+ * of their page when it was counted along with it.
+ * @param {object} [customQuery] - customQuery object passed to createConnection
+ * @param {object} [model] - SequelizeCache instance containing model to query
+ * @param {Promise} [pageRows] - pending page query, if already issued
+ * @param {object} where - sequelize 'where' object without the keyset predicate
+ * @returns {Promise} Promise object represents the count (number)
+ */
+const countAll = ({ customQuery, model, pageRows, where }) => {
+  if (!customQuery) {
+    return queryModel('count', model, 'count', { where })
+  }
+  return Promise.resolve(pageRows || []).then(rows =>
+    rows.length && rows[0].full_count !== undefined
+      ? Number(rows[0].full_count)
+      : queryRaw('count', customQuery.db, [
+          `SELECT count(*) AS full_count FROM (${customQuery.queryString}) AS connection;`,
+          { replacements: customQuery.replacements }
+        ]).then(results => (results.length ? Number(results[0].full_count) : 0))
+  )
+}
+
+/**
+ * @param {function} fn - function returning a promise
+ * @param {function} [onHit] - called on every call answered with the promise of a former call
+ * @returns {function} function that calls fn once and returns the same promise on every call
+ */
+const memoize = (fn, onHit) => {
+  let promise
+  return () => {
+    if (promise && onHit) {
+      onHit()
+    }
+    return promise || (promise = fn())
+  }
+}
+
+/**
+ * Issues raw SQL on a custom query's db, reported to the instrumentation hook
+ * @param {string} name - what the query is for, see instrumentQuery
+ * @param {object} db - customQuery.db
+ * @param {array} args - [sql, { replacements }] arguments for db.query
+ * @returns {Promise} Promise object represents the rows
+ */
+const queryRaw = (name, db, [sql, queryOptions]) =>
+  instrumentQuery(name, { replacements: queryOptions.replacements, sql }, () =>
+    db.query(sql, queryOptions)
+  )
+
+/**
+ * Calls a query method of a sequelize model, reported to the instrumentation hook
+ * @param {string} name - what the query is for, see instrumentQuery
+ * @param {object} model - sequelize model
+ * @param {string} method - e.g. 'findAll' or 'count'
+ * @param {object} query - sequelize options, e.g. { where, order, limit, offset }
+ * @returns {Promise} Promise object represents the results
+ */
+const queryModel = (name, model, method, query) =>
+  instrumentQuery(name, { model: model.name, ...query }, () => model[method](query))
+
+/**
+ * Wraps a customQuery's raw SQL as a subquery and appends ordering and paging. The matching rows are counted
+ * by the same query, as full_count of each row, unless counting is disabled. In keyset mode the seek
+ * predicates are applied to the subquery's result columns and nothing is counted, counting would scan past
+ * the page.
+ * @param {boolean} [count] - count the matching rows along with the page
+ * @param {object} customQuery - normalized customQuery object
+ * @param {array} keysetPredicates - [order, values] pairs of the keyset cursors
+ * @param {number} limit - page length
+ * @param {number} [offset] - offset of the page
+ * @param {array} order - sequelize 'order' array
+ * @param {object} [positions] - backward offset pagination: positions of the lead and bound cursors, the
+ *      offset and limit are computed from the count in SQL
+ * @returns {array} arguments for customQuery.db.query
+ */
+const getCustomQuery = ({
+  count,
+  customQuery,
+  keysetPredicates,
+  limit,
+  offset,
+  order,
+  positions
+}) => {
+  const orderBy = getOrderBySql(order)
+  const { queryString } = customQuery
+
+  if (positions) {
+    return getBackwardCustomQuery({ customQuery, limit, orderBy, positions })
+  } else if (!keysetPredicates.length) {
+    const columns = count ? '*, count(*) OVER() AS full_count' : '*'
+    return [
+      `SELECT ${columns} FROM (${queryString}) AS connection ORDER BY ${orderBy} LIMIT ? OFFSET ?;`,
+      {
+        replacements: customQuery.replacements.concat([limit + 1, offset]) // +1 to peek to see if there is more data
+      }
+    ]
+  }
+
+  const { sql, replacements } = joinSql(
+    keysetPredicates.map(([predicateOrder, values]) => getKeysetSql(predicateOrder, values)),
+    ' AND '
+  )
+  return [
+    `SELECT * FROM (${queryString}) AS connection WHERE ${sql} ORDER BY ${orderBy} LIMIT ?;`,
+    {
+      replacements: customQuery.replacements.concat(replacements, [limit + 1]) // +1 to peek to see if there is more data
+    }
+  ]
+}
+
+/**
+ * Backward offset pages start `count - before + 1` rows into the flipped order and end at the `after` cursor,
+ * SQL equivalent of getOffset and getWindow
+ */
+const getBackwardCustomQuery = ({ customQuery, limit, orderBy, positions: { bound, lead } }) => {
+  const offset = lead === null ? fragment('0') : fragment('GREATEST(full_count - ? + 1, 0)', [lead])
+  // +1 to peek to see if there is more data
+  const pageLimit =
+    bound === null
+      ? fragment('? + 1', [limit])
+      : fragment(`LEAST(?, GREATEST(full_count - ? - ${offset.sql}, 0)) + 1`, [
+          limit,
+          bound,
+          ...offset.replacements
+        ])
+
+  return [
+    `WITH connection AS (${customQuery.queryString}), ` +
+      'total AS (SELECT count(*) AS full_count FROM connection) ' +
+      `SELECT connection.*, total.full_count FROM connection, total ORDER BY ${orderBy} ` +
+      `LIMIT (SELECT ${pageLimit.sql} FROM total) OFFSET (SELECT ${offset.sql} FROM total);`,
+    {
+      replacements: customQuery.replacements.concat(pageLimit.replacements, offset.replacements)
+    }
+  ]
+}
+
+const SORT_DIRECTION = /^(ASC|DESC) NULLS (FIRST|LAST)$/
+
+/**
+ * @param {array} order - sequelize 'order' array
+ * @returns {string} ORDER BY list with quoted columns
+ */
+const getOrderBySql = order =>
+  order
+    .map(([column, sortDirection]) => {
+      if (!SORT_DIRECTION.test(sortDirection)) {
+        throw new ValidationError(`Invalid sort direction "${sortDirection}"`)
+      }
+      return `${quoteIdentifier(column)} ${sortDirection}`
     })
-    .then(queryResults => buildConnection(queryResults, limit, fieldMap, flip, offset, order))
+    .join(', ')
+
+/**
+ * Custom queries can only be sorted by columns of the fieldMap and the tiebreaker. Since custom queries are
+ * wrapped as a subquery, these are the output columns of the query, e.g. base_symbol, table names such as
+ * markets.base_symbol no longer resolve outside of it.
+ * @param {array} order - sequelize 'order' array
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @param {string} tiebreaker - unique column appended to the order
+ */
+const validateCustomQueryOrder = (order, fieldMap, tiebreaker) => {
+  const fields = getFields(fieldMap || {})
+  const allowedColumns = getFieldNames(fieldMap || {}, 'sortable')
+    .map(field => fields[field].column)
+    .concat(tiebreaker)
+  order.forEach(([column]) => {
+    if (!allowedColumns.includes(column)) {
+      throw new ValidationError(`Cannot sort by "${column}"`)
+    } else if (column.includes('.')) {
+      throw new Error(
+        `Custom queries are sorted by their output columns, "${column}" must not be qualified`
+      )
+    }
+  })
+}
+
+/**
+ * Accepts custom queries built with the sql tag, customQuery.sql, as well as a raw queryString and replacements
+ * @param {object} customQuery - customQuery object passed to createConnection
+ * @returns {object} customQuery object with queryString and replacements
+ */
+const normalizeCustomQuery = customQuery => {
+  if (customQuery.sql === undefined) {
+    return { ...customQuery, replacements: customQuery.replacements || [] }
+  } else if (!isFragment(customQuery.sql)) {
+    throw new Error('customQuery.sql must be built with the sql tag')
+  }
+  return {
+    ...customQuery,
+    queryString: customQuery.sql.sql,
+    replacements: customQuery.sql.replacements
+  }
 }
 
-const buildConnection = (queryResults, limit, fieldMap, flip, offset, order) => {
-  const hasMoreResults = queryResults.rows.length === limit + 1
-  let results = hasMoreResults ? queryResults.rows.slice(0, -1) : queryResults.rows
-  results = flip ? results.reverse() : results
-  results = fieldMap ? mapDbFieldsToGraphQlFields(results, fieldMap) : results
-  results = convertDateToUnix(results)
+/**
+ * @param {object} queryResults - rows of the page and, for backward offset pagination, the count
+ * @param {object} options - pagination state from createConnection
+ * @returns {object} relay connection, totalCount is a memoized thunk resolved by the graphQL executor
+ */
+const buildConnection = (
+  queryResults,
+  {
+    countRows,
+    cursorContext,
+    fieldMap,
+    flip,
+    getNodeId,
+    hasRowsBeyondBound,
+    hasSkippedResults,
+    keyset,
+    last,
+    limit,
+    offset,
+    order,
+    peekInWindow,
+    serializers
+  }
+) => {
+  const hasPeekedRow = queryResults.rows.length > limit
+  const hasMoreResults =
+    (hasPeekedRow && (peekInWindow || !config.strictPageInfo)) || hasRowsBeyondBound
+  let rows = hasPeekedRow ? queryResults.rows.slice(0, limit) : queryResults.rows
+  rows = flip ? rows.reverse() : rows
+  // with both `first` and `last` the forward page is cut down to its `last` rows
+  if (last && rows.length > last) {
+    offset += rows.length - last
+    hasSkippedResults = true
+    rows = rows.slice(-last)
+  }
+  // cursors are read from the raw rows since keyset cursors need the DB sort column values
+  const cursors = rows.map((row, index) =>
+    keyset
+      ? getKeysetCursor(row, order, cursorContext)
+      : getCursor(offset, index, flip, queryResults.count, rows, cursorContext)
+  )
+  let results = rows.map(row => serializeRow(row, fieldMap, serializers))
+  if (getNodeId) {
+    results = results.map((result, index) => ({ ...result, id: getNodeId(rows[index]) }))
+  }
 
   return {
-    edges: getEdges(results, flip, offset, queryResults.count),
+    edges: getEdges(results, cursors),
     pageInfo: getPageInfo({
-      count: queryResults.count,
+      cursors,
       flip,
       hasMoreResults,
-      offset,
-      order,
-      results
+      hasSkippedResults
     }),
-    totalCount: results.length
+    pageCount: results.length,
+    totalCount: countRows
   }
 }
 
 const validate = args => {
   if (!args.first && !args.last) {
-    throw new Error(
-      'Validation error: Arguments `first` or `last` are required to properly paginate the connection.'
+    throw new ValidationError(
+      'Arguments `first` or `last` are required to properly paginate the connection.'
     )
-  } else if (args.after && args.before) {
-    throw new Error('Validation error: Arguments after and before must not be together')
-  } else if (!args.sort || !args.direction) {
-    throw new Error('Validation error: Arguments sort and direction are required')
-  } else if (typeof args.fieldMap !== 'object') {
-    throw new Error('Validation error: Argument fieldMap is required')
+  } else if (
+    !args.sort ||
+    (Array.isArray(args.sort)
+      ? !args.sort.length ||
+        args.sort.some(spec => !spec.field || !(spec.direction || args.direction))
+      : !args.direction)
+  ) {
+    throw new ValidationError('Arguments sort and direction are required', 'sort')
+  } else if (!args.fieldMap || typeof args.fieldMap !== 'object') {
+    throw new ValidationError('Argument fieldMap is required')
   } else if (args.first > config.maxLimit || args.last > config.maxLimit) {
-    throw new Error(`Validation error: Max limit for first and last is ${config.maxLimit}`)
+    throw new ValidationError(
+      `Max limit for first and last is ${config.maxLimit}`,
+      args.first > config.maxLimit ? 'first' : 'last'
+    )
   } else if (args.first < 1 || args.last < 1) {
-    throw new Error('Validation error: First and last must be greater than 1')
+    throw new ValidationError(
+      'First and last must be greater than 1',
+      args.first < 1 ? 'first' : 'last'
+    )
+  }
+  validateSort(args)
+  if (args.search) {
+    validateSearch(args)
+  }
+}
+
+const SORT_DIRECTIONS = ['ASC', 'DESC']
+const NULLS_PLACEMENTS = ['FIRST', 'LAST']
+
+/**
+ * Checks the sort fields against the fieldMap, before any of them reaches the order of the query
+ */
+const validateSort = ({ direction, fieldMap, sort }) => {
+  const specs = Array.isArray(sort) ? sort : [{ field: sort }]
+  // missing directions and nulls placements fall back to their defaults
+  const isValid = (value, allowed) =>
+    value === undefined ||
+    value === null ||
+    (typeof value === 'string' && allowed.includes(value.toUpperCase()))
+  if (!isValid(direction, SORT_DIRECTIONS)) {
+    throw new ValidationError('direction must be ASC or DESC', 'direction')
+  }
+  specs.forEach((spec, index) => {
+    if (!isValid(spec.direction, SORT_DIRECTIONS)) {
+      throw new ValidationError('direction must be ASC or DESC', `sort.${index}.direction`)
+    } else if (!isValid(spec.nulls, NULLS_PLACEMENTS)) {
+      throw new ValidationError('nulls must be FIRST or LAST', `sort.${index}.nulls`)
+    }
+  })
+
+  const fields = getFields(fieldMap)
+  const unknownSpec = specs.find(spec => !Object.prototype.hasOwnProperty.call(fields, spec.field))
+  if (unknownSpec) {
+    throw new ValidationError(
+      `unknown sort field ${JSON.stringify(unknownSpec.field)}; allowed: ${getFieldNames(
+        fieldMap,
+        'sortable'
+      ).join(', ')}`,
+      'sort'
+    )
+  }
+}
+
+const validateSearch = ({ customQuery, fieldMap, keyset, search }) => {
+  const mode = getSearchMode(search)
+  const fields = getFields(fieldMap)
+  const unknownColumn = Array.isArray(search.columns)
+    ? search.columns.find(field => !Object.prototype.hasOwnProperty.call(fields, field))
+    : undefined
+  if (customQuery) {
+    // the search would have to reach the SQL of the query, like filters through filterToSql
+    throw new ValidationError('Search is not supported on custom queries', 'search')
+  } else if (!Array.isArray(search.columns) || !search.columns.length) {
+    throw new ValidationError('Search columns must be a non-empty list', 'search.columns')
+  } else if (unknownColumn !== undefined) {
+    throw new ValidationError(
+      `unknown search field ${JSON.stringify(unknownColumn)}; allowed: ${getFieldNames(
+        fieldMap,
+        'searchable'
+      ).join(', ')}`,
+      'search.columns'
+    )
+  } else if (!SEARCH_MODES.includes(mode)) {
+    throw new ValidationError(
+      `Search mode must be one of ${SEARCH_MODES.join(', ')}`,
+      'search.mode'
+    )
+  } else if (search.orderByRank && !RANKED_SEARCH_MODES.includes(mode)) {
+    throw new ValidationError('Ordering by relevance requires the fulltext or trigram search mode')
+  } else if (search.orderByRank && keyset) {
+    throw new ValidationError('Ordering by relevance is not supported with keyset cursors')
   }
 }
 /**
  *
- * @param {string} cursor - base64 encoded cursor
+ * @param {string} cursor - signed cursor
  * @param {boolean} flip - flag for backwards pagination
- * @param {object} where - sequelize where object
- * @param [model] - required if querying w/ SequelizeCache instance
- * @param [customQuery] - required if querying w/ customQuery
+ * @param {function} countRows - memoized count of the rows matching the query, shared with totalCount
+ * @param {object} cursorContext - order and where the cursor must have been issued for
  * @returns {Promise} Promise object represents the offset (number)
  */
-const getOffset = async (cursor, flip, where, model, customQuery) => {
+const getOffset = async (cursor, flip, countRows, cursorContext) => {
   if (cursor) {
-    const decodedCursor = parseInt(Base64.atob(cursor))
-
-    if (isNaN(decodedCursor)) {
-      throw new Error('Validation error: Invalid cursor')
-    }
+    const decodedCursor = decodePosition(cursor, cursorContext)
 
     if (!flip) {
       return decodedCursor
     }
 
-    let count
-
-    if (customQuery) {
-      count = await customQuery.db
-        .query(customQuery.queryString, {
-          replacements: customQuery.replacements
-        })
-        .then(results => (results[0].length ? results[0][0].full_count : 0))
-    } else {
-      count = await model.count({
-        where
-      })
-    }
+    const count = await countRows()
 
     let offset = count - decodedCursor + 1
     if (offset < 0) {
-      throw new Error('Validation error: Invalid cursor')
+      throw new ValidationError('Invalid cursor', 'before')
     }
     return offset
   }
   return 0
 }
 
-const getEdges = (results, flip, offset, count) =>
+/**
+ * Number of rows between the offset and the bound cursor, i.e. `before` when paginating forward and
+ * `after` when paginating backward
+ * @param {string} cursor - signed bound cursor
+ * @param {boolean} flip - flag for backwards pagination
+ * @param {number} offset - offset of the page in query order
+ * @param {function} countRows - memoized count of the rows matching the query
+ * @param {object} cursorContext - order and where the cursor must have been issued for
+ * @returns {Promise} Promise object represents the number of rows (number)
+ */
+const getWindow = async (cursor, flip, offset, countRows, cursorContext) => {
+  const position = decodePosition(cursor, cursorContext)
+  const end = flip ? (await countRows()) - position : position - 1
+  return Math.max(end - offset, 0)
+}
+
+const decodePosition = (cursor, cursorContext) => {
+  const position = decodeCursor(cursor, cursorContext).p
+
+  if (!Number.isInteger(position) || position < 0) {
+    throw new ValidationError('Invalid cursor')
+  }
+  return position
+}
+
+const getEdges = (results, cursors) =>
   results.map((result, index) => ({
-    cursor: getCursor(offset, index, flip, count, results),
+    cursor: cursors[index],
     node: result
   }))
 
 /**
  * Determines order for the SQL query
- * @param {string} sort - field name to sort by
+ * @param {string|array} sort - field name to sort by, or an ordered list of { field, direction, nulls } specs
  * @param {string} direction - 'ASC' or 'DESC'
  * @param {number} first - page length, non‐negative integer
  * @param {number} last - page length, non‐negative integer
+ * @param {object} [rank] - search relevance expression, sorted on before the sort specs
+ * @param {string} tiebreaker - unique column appended to the order, follows the direction of the main sort
  * @returns {object} Contains sequelize 'order' array and flip flag for pagination logic
  */
-const effectiveOrder = ({ direction, last, sort, fieldMap }) => {
-  const order = [[fieldMap[sort], `${direction} NULLS LAST`]]
-  // flips `ASC` to `DESC` (and vice-versa) if pagination arg `last` is defined
-  if (last) {
-    return {
-      flip: true,
-      order: [[order[0][0], flipSortDirection(order[0][1])]]
-    }
+const effectiveOrder = ({ direction, first, last, rank, sort, fieldMap, tiebreaker }) => {
+  const sortSpecs = getSortSpecs(sort, direction)
+  const order = sortSpecs.map(spec => [
+    getColumn(fieldMap, spec.field, 'sortable'),
+    `${spec.direction} NULLS ${spec.nulls}`
+  ])
+  if (rank) {
+    order.unshift([rank, 'DESC NULLS LAST'])
+  }
+  if (!order.some(([column]) => column === tiebreaker)) {
+    order.push([tiebreaker, `${sortSpecs[0].direction} NULLS LAST`])
+  }
+  // flips `ASC` to `DESC` (and vice-versa) if pagination arg `last` is defined without `first`, with both
+  // the page is fetched forward and cut down to its `last` rows
+  if (last && !first) {
+    return { flip: true, order: flipOrder(order) }
   }
   return { flip: false, order }
 }
 
+/**
+ * Normalizes the sort argument into a list of sort specs
+ * @param {string|array} sort - field name or list of { field, direction, nulls } specs
+ * @param {string} direction - direction for specs that do not set their own
+ * @returns {array} list of { field, direction, nulls } with direction and nulls upper-cased
+ */
+const getSortSpecs = (sort, direction) =>
+  (Array.isArray(sort) ? sort : [{ field: sort }]).map(spec => ({
+    direction: (spec.direction || direction).toUpperCase(),
+    field: spec.field,
+    nulls: (spec.nulls || 'LAST').toUpperCase()
+  }))
+
+/**
+ * The tiebreaker passed in, else config.tiebreaker, else the model's primary key or, for custom queries, the
+ * column of the fieldMap's id field, else 'id'
+ * @param {object} [model] - sequelize model
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @param {object} options - createConnection options
+ * @returns {string} DB column used to break ties between rows sharing the same sort values
+ */
+const getTiebreaker = (model, fieldMap, options) =>
+  options.tiebreaker ||
+  config.tiebreaker ||
+  (model ? model.primaryKeyAttribute : getIdColumn(fieldMap)) ||
+  'id'
+
+/**
+ * Model nodes get the global IDs the node registry resolves, see getNodeIdColumn
+ * @param {string} [nodeType] - graphQL type of the nodes, see createConnection options
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names
+ * @param {object} [model] - sequelize model
+ * @param {string} tiebreaker - unique column of the rows, the id column of custom queries without an id field
+ * @returns {function} row => global ID of the row, undefined without a node type
+ */
+const getNodeIdGetter = (nodeType, fieldMap, model, tiebreaker) => {
+  if (!nodeType) {
+    return undefined
+  }
+  const column = model ? getNodeIdColumn(fieldMap, model) : getIdColumn(fieldMap) || tiebreaker
+  return row => toGlobalId(nodeType, row[column])
+}
+
 /**
  * Creates an opaque cursor based on the position of the result in the results array
  * @param {number} offset - integer offset
@@ -187,133 +939,417 @@ const effectiveOrder = ({ direction, last, sort, fieldMap }) => {
  * @param {boolean} flip - flag for backwards pagination
  * @param {number} count - integer count of total DB results for query (before search or limit applied)
  * @param {array} results - actual DB query results with search and limit applied
- * @returns {string} A base64 encoded string representing a db value
+ * @param {object} cursorContext - order and where of the query, see encodeCursor
+ * @returns {string} A signed cursor representing the position
  */
-const getCursor = (offset, index, flip, count, results) => {
+const getCursor = (offset, index, flip, count, results, cursorContext) => {
   const position = flip ? count - offset - results.length + index + 1 : offset + index + 1
-  return Base64.btoa(position.toString())
+  return encodeCursor({ p: position }, cursorContext)
+}
+
+/**
+ * Creates an opaque keyset cursor from the values of the order columns of a DB row
+ * @param {object} row - DB row (before fields are mapped to graphQL names)
+ * @param {array} order - sequelize 'order' array
+ * @param {object} cursorContext - order and where of the query, see encodeCursor
+ * @returns {string} A signed cursor holding the row's sort values
+ */
+const getKeysetCursor = (row, order, cursorContext) =>
+  encodeCursor(
+    {
+      k: order.map(([column]) => {
+        // the column types of custom queries are only known from their rows
+        if (row[column] instanceof Date) {
+          throw getTimestampSortError(column)
+        }
+        return row[column] === undefined ? null : row[column]
+      })
+    },
+    cursorContext
+  )
+
+/**
+ * Keyset cursors hold the sort values as JSON, which cuts timestamps down to milliseconds while Postgres keeps
+ * microseconds: the cursor row would no longer equal its own cursor and be paged again. Sorts on the timestamp
+ * columns of a model are rejected before querying.
+ * @param {array} order - sequelize 'order' array
+ * @param {object} model - sequelize model
+ */
+const validateKeysetOrder = (order, model) => {
+  const attributes = model.rawAttributes || {}
+  const timestamp = order.find(
+    ([column]) => attributes[column] && attributes[column].type.key === 'DATE'
+  )
+  if (timestamp) {
+    throw getTimestampSortError(timestamp[0])
+  }
+}
+
+const getTimestampSortError = column =>
+  new ValidationError(`Keyset cursors cannot sort by the timestamp column "${column}"`, 'sort')
+
+/**
+ * @param {string} cursor - signed keyset cursor
+ * @param {array} order - sequelize 'order' array the cursor is applied to
+ * @param {object} cursorContext - order and where the cursor must have been issued for
+ * @returns {array} sort values, one per order column
+ */
+const decodeKeysetCursor = (cursor, order, cursorContext) => {
+  const values = decodeCursor(cursor, cursorContext).k
+  if (!Array.isArray(values) || values.length !== order.length) {
+    throw new ValidationError('Invalid cursor')
+  }
+  return values
+}
+
+const parseSortDirection = sortDirection => {
+  const [direction, , nulls] = sortDirection.split(' ')
+  return { ascending: direction === 'ASC', nullsFirst: nulls === 'FIRST' }
 }
 
+/**
+ * Builds a sequelize 'where' object selecting the rows that come strictly after the seek values in the
+ * given order. Expanded form of `(a, b) > (x, y)`, since row comparison cannot express mixed
+ * directions or NULLS FIRST/LAST.
+ * @param {array} order - sequelize 'order' array the query is run with
+ * @param {array} values - sort values decoded from the cursor
+ * @returns {object} sequelize 'where' object
+ */
+const getKeysetWhere = (order, values) => ({
+  $or: order
+    .map(([column, sortDirection], index) => {
+      const { ascending, nullsFirst } = parseSortDirection(sortDirection)
+      const value = values[index]
+      let seek
+      if (value === null) {
+        if (!nullsFirst) {
+          return null // nothing sorts after NULL when nulls are last
+        }
+        seek = { [column]: { $ne: null } }
+      } else {
+        const comparison = { [column]: { [ascending ? '$gt' : '$lt']: value } }
+        seek = nullsFirst ? comparison : { $or: [comparison, { [column]: null }] }
+      }
+      return {
+        $and: order
+          .slice(0, index)
+          .map(([previousColumn], previousIndex) => ({ [previousColumn]: values[previousIndex] }))
+          .concat(seek)
+      }
+    })
+    .filter(Boolean)
+})
+
+/**
+ * Raw SQL equivalent of getKeysetWhere for the customQuery path
+ * @param {array} order - sequelize 'order' array the query is run with
+ * @param {array} values - sort values decoded from the cursor
+ * @returns {object} SQL predicate and its replacements
+ */
+const getKeysetSql = (order, values) => {
+  const terms = order
+    .map(([column, sortDirection], index) => {
+      const { ascending, nullsFirst } = parseSortDirection(sortDirection)
+      const value = values[index]
+      let seek
+      if (value === null) {
+        if (!nullsFirst) {
+          return null // nothing sorts after NULL when nulls are last
+        }
+        seek = fragment(`${quoteIdentifier(column)} IS NOT NULL`)
+      } else {
+        const comparison = `${quoteIdentifier(column)} ${ascending ? '>' : '<'} ?`
+        seek = fragment(
+          nullsFirst ? comparison : `(${comparison} OR ${quoteIdentifier(column)} IS NULL)`,
+          [value]
+        )
+      }
+      return joinSql(getEqualitySql(order.slice(0, index), values).concat(seek), ' AND ')
+    })
+    .filter(Boolean)
+
+  return joinSql(terms, ' OR ')
+}
+
+/**
+ * @param {array} order - sequelize 'order' array, only the columns are used
+ * @param {array} values - one value per column
+ * @returns {array} SQL fragments matching each column to its value
+ */
+const getEqualitySql = (order, values) =>
+  order.map(([column], index) =>
+    values[index] === null
+      ? fragment(`${quoteIdentifier(column)} IS NULL`)
+      : fragment(`${quoteIdentifier(column)} = ?`, [values[index]])
+  )
+
+/**
+ * Cheap existence probe for keyset pagination: checks whether the cursor row, or any row sorted
+ * before it, still matches the query
+ * @returns {Promise} Promise object represents whether such a row exists (boolean)
+ */
+const hasRowsBeforeCursor = ({ customQuery, model, order, seekValues, where }) => {
+  if (customQuery) {
+    const { sql, replacements } = joinSql(
+      [
+        getKeysetSql(flipOrder(order), seekValues),
+        joinSql(getEqualitySql(order, seekValues), ' AND ')
+      ],
+      ' OR '
+    )
+    return queryRaw('probe', customQuery.db, [
+      `SELECT 1 FROM (${customQuery.queryString}) AS connection WHERE ${sql} LIMIT 1;`,
+      { replacements: customQuery.replacements.concat(replacements) }
+    ]).then(results => results.length > 0)
+  }
+  return queryModel('probe', model, 'findOne', {
+    attributes: [order[order.length - 1][0]],
+    where: {
+      $and: [
+        where,
+        {
+          $or: [
+            getKeysetWhere(flipOrder(order), seekValues),
+            { $and: order.map(([column], index) => ({ [column]: seekValues[index] })) }
+          ]
+        }
+      ]
+    }
+  }).then(Boolean)
+}
+
+const SEARCH_MODES = ['prefix', 'contains', 'exact', 'fulltext', 'trigram']
+const RANKED_SEARCH_MODES = ['fulltext', 'trigram']
+
+// modes other than strings are left as is for validateSearch to reject
+const getSearchMode = ({ mode }) =>
+  (typeof mode === 'string' ? mode.toLowerCase() : mode) || 'prefix'
+
+const getSearchConfig = () => config.search || {}
+
+const isUnaccented = search =>
+  search.unaccent === undefined ? Boolean(getSearchConfig().unaccent) : search.unaccent
+
+/**
+ * Normalises the search term: unicode NFKC, control characters removed, whitespace trimmed and collapsed,
+ * accents stripped when searching unaccented
+ * @param {object} search - search object, see addSearchExpression
+ * @returns {object} search object with the normalised searchTerm
+ */
+const sanitizeSearch = search => {
+  if (typeof search.searchTerm !== 'string') {
+    throw new ValidationError('Search term must be a string', 'search')
+  }
+  let searchTerm = search.searchTerm
+    .normalize('NFKC')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+  if (isUnaccented(search)) {
+    searchTerm = searchTerm.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC')
+  }
+
+  const maxLength = getSearchConfig().maxLength
+  if (!searchTerm) {
+    throw new ValidationError('Search term must not be empty', 'search')
+  } else if (maxLength && searchTerm.length > maxLength) {
+    throw new ValidationError(`Search term must be at most ${maxLength} characters`, 'search')
+  }
+  return { ...search, searchTerm }
+}
+
+/**
+ * Escapes the LIKE wildcards % and _, and the escape character itself, so they match literally
+ * @param {string} term - search term
+ * @returns {string} term usable inside a LIKE pattern
+ */
+const escapeLike = term => term.replace(/[\\%_]/g, '\\$&')
+
+const getSearchableColumn = (fieldMap, field) =>
+  getColumn(fieldMap, field, 'searchable', 'search.columns')
+
 /**
  * Adds to a sequelize 'where' object to filter the query by supplied search term and column(s)
  * @param {object} where - existing sequelize 'where' object to add to
  * @param {object} search - search object containing searchTerm and columns
  * @param {string} search.searchTerm - search parameter, e.g. 'bitcoin'
  * @param {array} search.columns - array of {string} column names to search, e.g. ['symbol', 'display_name']
+ * @param {string} [search.mode] - 'prefix' (default), 'contains', 'exact', 'fulltext' (to_tsvector/plainto_tsquery)
+ *      or 'trigram' (pg_trgm similarity, the threshold is pg_trgm.similarity_threshold)
+ * @param {string} [search.language] - text search configuration for 'fulltext', defaults to config.search.language
+ * @param {boolean} [search.unaccent] - compare without accents, requires the unaccent extension, defaults to
+ *      config.search.unaccent
+ * @param {boolean} [search.orderByRank] - sort by relevance first, for 'fulltext' and 'trigram'
  * @param {object} fieldMap - used to convert graphQL key name to DB key name
+ * @param {object} [sequelize] - sequelize instance, required for 'fulltext' and 'trigram'
  * @returns {object} sequelize 'where' object
  */
-const addSearchExpression = (where, { searchTerm, columns }, fieldMap) => ({
-  ...where,
-  $or: columns.map(field => ({
-    [fieldMap[field]]: {
-      $iLike: `${searchTerm}%`
-    }
-  }))
-})
+const addSearchExpression = (where, search, fieldMap, sequelize) => {
+  const $or = search.columns.map(field =>
+    getSearchCondition(getSearchableColumn(fieldMap, field), search, sequelize)
+  )
+  // keeps an $or the where object already has
+  return where.$or ? { $and: [where, { $or }] } : { ...where, $or }
+}
 
 /**
- * Reverses sort direction for backwards pagination
- * @param {string} sortDirection - e.g. 'DESC'
- * @returns {string} Order direction for SQL e.g. 'ASC'
+ * @param {object} where - sequelize 'where' object
+ * @param {object} otherWhere - sequelize 'where' object rows must match as well
+ * @returns {object} sequelize 'where' object matching both
  */
-const flipSortDirection = sortDirection =>
-  sortDirection === 'ASC NULLS LAST' ? 'DESC NULLS LAST' : 'ASC NULLS LAST'
+const combineWhere = (where, otherWhere) =>
+  Reflect.ownKeys(where).length ? { $and: [where, otherWhere] } : otherWhere
+
+const getSearchCondition = (column, search, sequelize) => {
+  const { searchTerm } = search
+
+  switch (getSearchMode(search)) {
+    case 'contains':
+      return getLikeCondition(column, `%${escapeLike(searchTerm)}%`, search, sequelize)
+    case 'exact':
+      return getLikeCondition(column, escapeLike(searchTerm), search, sequelize)
+    case 'fulltext':
+      return sequelize.where(
+        getTsVector(column, search, sequelize),
+        '@@',
+        getTsQuery(search, sequelize)
+      )
+    case 'trigram':
+      return sequelize.where(getSearchColumn(column, search, sequelize), '%', searchTerm)
+    default:
+      return getLikeCondition(column, `${escapeLike(searchTerm)}%`, search, sequelize)
+  }
+}
+
+const getLikeCondition = (column, pattern, search, sequelize) =>
+  isUnaccented(search)
+    ? sequelize.where(getSearchColumn(column, search, sequelize), { $iLike: pattern })
+    : { [column]: { $iLike: pattern } }
+
+const getSearchColumn = (column, search, sequelize) =>
+  isUnaccented(search) ? sequelize.fn('unaccent', sequelize.col(column)) : sequelize.col(column)
+
+const getSearchLanguage = search => search.language || getSearchConfig().language || 'simple'
+
+const getTsVector = (column, search, sequelize) =>
+  sequelize.fn('to_tsvector', getSearchLanguage(search), getSearchColumn(column, search, sequelize))
+
+const getTsQuery = (search, sequelize) =>
+  sequelize.fn('plainto_tsquery', getSearchLanguage(search), search.searchTerm)
+
+/**
+ * Builds the relevance of a row for a 'fulltext' or 'trigram' search, the best match over all searched columns
+ * @param {object} search - search object, see addSearchExpression
+ * @param {object} fieldMap - used to convert graphQL key name to DB key name
+ * @param {object} sequelize - sequelize instance
+ * @returns {object} sequelize function usable in an 'order' array
+ */
+const getSearchRank = (search, fieldMap, sequelize) => {
+  const ranks = search.columns.map(field =>
+    getSearchMode(search) === 'fulltext'
+      ? sequelize.fn(
+          'ts_rank',
+          getTsVector(getSearchableColumn(fieldMap, field), search, sequelize),
+          getTsQuery(search, sequelize)
+        )
+      : sequelize.fn(
+          'similarity',
+          getSearchColumn(getSearchableColumn(fieldMap, field), search, sequelize),
+          search.searchTerm
+        )
+  )
+  return ranks.length === 1 ? ranks[0] : sequelize.fn('GREATEST', ...ranks)
+}
 
 /**
- * Builds a relay pageInfo field
- * @param {array} results - query results from db
+ * Reverses sort direction for backwards pagination. NULLS placement is mirrored as well, so the flipped
+ * order is the exact reverse of the original one.
+ * @param {string} sortDirection - e.g. 'DESC NULLS LAST'
+ * @returns {string} Order direction for SQL e.g. 'ASC NULLS FIRST'
+ */
+const flipSortDirection = sortDirection => {
+  const { ascending, nullsFirst } = parseSortDirection(sortDirection)
+  return `${ascending ? 'DESC' : 'ASC'} NULLS ${nullsFirst ? 'LAST' : 'FIRST'}`
+}
+
+const flipOrder = order =>
+  order.map(([column, sortDirection]) => [column, flipSortDirection(sortDirection)])
+
+/**
+ * Builds a relay pageInfo field. Unless config.strictPageInfo is set, both hasNextPage and
+ * hasPreviousPage are accurate; in strict mode the flag for the opposite direction of pagination is
+ * always false, which the relay spec allows.
+ * @param {array} cursors - cursors of the returned edges
  * @param {boolean} hasMoreResults - if there is another page
+ * @param {boolean} hasSkippedResults - if there are results before the page, in query order
  * @param {boolean} flip - flag to indicate backwards pagination
- * @param {number} offset - the offset from DB query
- * @param {number} count - integer count of total DB results for query (before search or limit applied)
  * @returns {object} A relay pageInfo field
  */
-const getPageInfo = ({ results, hasMoreResults, flip, offset, count }) => {
-  const startCursor = results.length ? getEdges(results, flip, offset, count)[0].cursor : null
-  const endCursor = results.length
-    ? getEdges(results, flip, offset, count).slice(-1)[0].cursor
-    : null
+const getPageInfo = ({ cursors, hasMoreResults, hasSkippedResults, flip }) => {
+  const startCursor = cursors.length ? cursors[0] : null
+  const endCursor = cursors.length ? cursors[cursors.length - 1] : null
+  const hasOppositeResults = config.strictPageInfo ? false : hasSkippedResults
 
   return {
     endCursor,
-    hasNextPage: flip ? false : hasMoreResults,
-    hasPreviousPage: flip ? hasMoreResults : false,
+    hasNextPage: flip ? hasOppositeResults : hasMoreResults,
+    hasPreviousPage: flip ? hasMoreResults : hasOppositeResults,
     startCursor
   }
 }
 
 /**
- * Renames DB keys to match graphQL keys and drops any extra fields
- * from the DB data not present in the map
+ * Reads the fields of the map from the DB data, renaming columns, following dotted paths and computing
+ * computed fields, and drops any extra fields from the DB data not present in the map
  * @param {array} results - DB query results
- * @param {object} map - a graphQL to DB key name mapping
+ * @param {object} map - a graphQL to DB key name mapping, see fieldMap.js
  * @returns {array} - Re-keyed list of results to match graphQL schema
  */
-const mapDbFieldsToGraphQlFields = (results, map) =>
-  results.map(result =>
-    Object.keys(map).reduce(
+const mapDbFieldsToGraphQlFields = (results, map) => {
+  const fields = getFields(map)
+  return results.map(result =>
+    Object.keys(fields).reduce(
       (acc, key) => ({
-        [key]: result[map[key]],
+        [key]: getFieldValue(result, fields[key]),
         ...acc
       }),
       {}
     )
   )
+}
+
+/**
+ * Converts a DB row into the object of its graphQL type, e.g. for single-object resolvers, without modifying
+ * the row
+ * @param {object} row - DB row or sequelize instance
+ * @param {object} [fieldMap] - a graphQL to DB key name mapping, the row is copied as is without one
+ * @param {object} [serializers] - serializer per graphQL field name, see serializers.js
+ * @returns {object} graphQL object
+ */
+const serializeRow = (row, fieldMap, serializers) =>
+  applySerializers(
+    fieldMap ? mapDbFieldsToGraphQlFields([row], fieldMap)[0] : toPlainObject(row),
+    serializers
+  )
 
-const convertDateToUnix = results =>
-  results.map(result => {
-    try {
-      if (result.updatedAt) {
-        result.updatedAt = result.updatedAt.valueOf()
-      }
-      if (result.createdAt) {
-        result.createdAt = result.createdAt.valueOf()
-      }
-      if (result.deletedAt) {
-        result.deletedAt = result.deletedAt.valueOf()
-      }
-      return result
-    } catch (error) {
-      logger.error('Error parsing date:', error)
-      return result
-    }
-  })
+const toPlainObject = row => (typeof row.get === 'function' ? row.get({ plain: true }) : { ...row })
 
 /**
- * @deprecated
- * Sets a default sort/direction if not present in connector args and
- * specifies columns that the search should be applied to if
- * a search is passed in
- * @param {object} args - arguments passed to connector
- * @param {string} [args.search] - search term
- * @param {string} [args.sort] - column to sort by
- * @param {string} [args.direction] - 'ASC' or 'DESC'
- * @param {array} searchColumns - column(s) to apply search to e.g ['displayName', 'symbol']
- * @param {string} defaultDirection - default direction for when direction not present in args e.g. 'ASC' or 'DESC'
- * @param {string} defaultSort - default sort for when sort not present in args e.g 'marketCapUsd'
- * @param {object} [customWhere] - custom where object for extra filtering i.e. { exchange_id: 'binance' }
- * @returns {object} - enriched args
- */
-const enrichArgs = ({ args, searchColumns, defaultDirection, defaultSort, customWhere }) => ({
-  ...args,
-  direction: args.direction || defaultDirection,
-  search: args.search
-    ? {
-        columns: searchColumns,
-        searchTerm: args.search
-      }
-    : undefined,
-  sort: args.sort || defaultSort,
-  where: customWhere || {}
-})
+ * @deprecated use serializeRow, the createdAt, updatedAt and deletedAt of the results as epoch milliseconds
+ * @param {array} results - DB query results
+ * @returns {array} copies of the results with the converted dates
+ */
+const convertDateToUnix = results => results.map(result => applySerializers(toPlainObject(result)))
 
+/**
+ * Rethrows errors safe to expose to clients, see errors.js, any other error is wrapped in an InternalError
+ * @param {Error} err - error raised while resolving a field
+ */
 const handleError = err => {
-  if (err.message.includes('Validation error:')) {
+  if (isSafeError(err)) {
     throw err
-  } else {
-    throw new Error('An unexpected error has occurred. Please try back again later.')
   }
+  throw new InternalError(err)
 }
 
 const getUserId = ctx => {
@@ -345,17 +1381,18 @@ const deleteAndReturn = async (model, where) => {
   if (deleteCount) {
     return result
   } else {
-    throw new Error('Validation Error: Delete failed!')
+    throw new NotFoundError('Delete failed, the record was not found')
   }
 }
 
 module.exports = {
   createConnection,
+  createConnections,
   convertDateToUnix,
   deleteAndReturn,
-  enrichArgs,
   getUserId,
   handleError,
   isFeatureEnabled,
-  mapDbFieldsToGraphQlFields
+  mapDbFieldsToGraphQlFields,
+  serializeRow
 }
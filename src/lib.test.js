@@ -1,25 +1,51 @@
 const { Base64 } = require('js-base64')
+const { toGlobalId } = require('graphql-relay')
 const {
   createConnection,
+  createConnections,
   deleteAndReturn,
-  enrichArgs,
   handleError,
-  mapDbFieldsToGraphQlFields
+  mapDbFieldsToGraphQlFields,
+  serializeRow
 } = require('./lib')
 const { dbData, normalizedData } = require('../__mocks__/sampleAssetsData.js')
 const assetsFieldMap = require('./schema/Asset/resolvers').fieldMap
 const exchangesFieldMap = require('./schema/Exchange/resolvers').fieldMap
 const config = require('./config')
+const { encodeCursor } = require('./cursor')
+const { InternalError, NotFoundError, ValidationError } = require('./errors')
+const { filterToSql } = require('./filter')
+const { serializers } = require('./serializers')
+const { sql } = require('./sql')
+
+config.cursorSecret = 'test secret'
+
+// forward order of a single column sort with its tiebreaker
+const order = (column, direction, tiebreaker = 'id') => [
+  [column, `${direction} NULLS LAST`],
+  [tiebreaker, `${direction} NULLS LAST`]
+]
+const offsetCursor = (
+  position,
+  sortOrder = order('market_cap', 'DESC'),
+  where = {},
+  search,
+  query
+) => encodeCursor({ p: position }, { order: sortOrder, query, search, where })
+// cursors of custom queries are bound to their SQL and replacements
+const queryContext = ({ queryString, replacements }) => ({ queryString, replacements })
+
+// totalCount is a thunk the graphQL executor resolves lazily
+const resolveTotalCount = async connection => ({
+  ...connection,
+  totalCount: await connection.totalCount()
+})
 
 describe('createConnection', () => {
   it('returns all data when sort and direction are supplied and first greater than db rows', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData))
     }
 
     const actual = await createConnection(
@@ -28,38 +54,38 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 200 + 1,
       offset: 0,
-      order: [['market_cap', 'DESC NULLS LAST']],
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
       where: {}
     })
 
     const expected = {
       edges: normalizedData.map((asset, index) => ({
-        cursor: Base64.btoa((index + 1).toString()),
+        cursor: offsetCursor(index + 1),
         node: asset
       })),
       pageInfo: {
-        endCursor: Base64.btoa('12'),
+        endCursor: offsetCursor(12),
         hasNextPage: false,
         hasPreviousPage: false,
-        startCursor: Base64.btoa('1')
+        startCursor: offsetCursor(1)
       },
+      pageCount: 12,
       totalCount: 12
     }
 
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('throws an error when limit > config.maxLimit', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(0, 11)
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 11)))
     }
 
     await expect(
@@ -71,14 +97,16 @@ describe('createConnection', () => {
     ).rejects.toThrowError(`Max limit for first and last is ${config.maxLimit}`)
   })
 
+  it('reports the code and the argument of validation errors', async () => {
+    await expect(
+      createConnection({ direction: 'DESC', last: 9999, sort: 'marketCapUsd' }, {}, assetsFieldMap)
+    ).rejects.toMatchObject({ extensions: { code: 'BAD_USER_INPUT', field: 'last' } })
+  })
+
   it('throws an error when first < 1', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(0, 11)
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 11)))
     }
 
     await expect(
@@ -92,12 +120,8 @@ describe('createConnection', () => {
 
   it('throws an error when last < 1', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(0, 11)
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 11)))
     }
 
     await expect(
@@ -111,12 +135,8 @@ describe('createConnection', () => {
 
   it('returns correct data when first, sort, & direction are supplied', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(0, 11)
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 11)))
     }
 
     const actual = await createConnection(
@@ -125,43 +145,43 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 10 + 1,
       offset: 0,
-      order: [['market_cap', 'DESC NULLS LAST']],
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
       where: {}
     })
     const expected = {
       edges: normalizedData
         .map((asset, index) => ({
-          cursor: Base64.btoa((index + 1).toString()),
+          cursor: offsetCursor(index + 1),
           node: asset
         }))
         .slice(0, 10),
       pageInfo: {
-        endCursor: Base64.btoa('10'),
+        endCursor: offsetCursor(10),
         hasNextPage: true,
         hasPreviousPage: false,
-        startCursor: Base64.btoa('1')
+        startCursor: offsetCursor(1)
       },
-      totalCount: 10
+      pageCount: 10,
+      totalCount: 12
     }
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('returns correct data when first, after, sort, & direction are supplied', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(4, 10)
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(4, 10)))
     }
 
     const actual = await createConnection(
       {
-        after: Base64.btoa('4'),
+        after: offsetCursor(4),
         direction: 'DESC',
         first: 5,
         sort: 'marketCapUsd'
@@ -170,41 +190,43 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 5 + 1,
       offset: 4,
-      order: [['market_cap', 'DESC NULLS LAST']],
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
       where: {}
     })
     const expected = {
       edges: normalizedData.slice(4, 9).map((asset, index) => ({
-        cursor: Base64.btoa((index + 4 + 1).toString()),
+        cursor: offsetCursor(index + 4 + 1),
         node: asset
       })),
       pageInfo: {
-        endCursor: Base64.btoa('9'),
+        endCursor: offsetCursor(9),
         hasNextPage: true,
-        hasPreviousPage: false,
-        startCursor: Base64.btoa('5')
+        hasPreviousPage: true,
+        startCursor: offsetCursor(5)
       },
-      totalCount: 5
+      pageCount: 5,
+      totalCount: 12
     }
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('returns correct data when first, after, sort and direction are supplied', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.sort((a, b) => a.symbol.localeCompare(b.symbol)).slice(4, 10)
-        })
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() =>
+        Promise.resolve(dbData.sort((a, b) => a.symbol.localeCompare(b.symbol)).slice(4, 10))
       )
     }
 
     const actual = await createConnection(
       {
-        after: Base64.btoa('4'), // ETH is 4th in this sort/direction
+        after: offsetCursor(4, order('symbol', 'ASC')), // ETH is 4th in this sort/direction
         direction: 'ASC',
         first: 5,
         sort: 'symbol'
@@ -212,40 +234,40 @@ describe('createConnection', () => {
       mockModel,
       assetsFieldMap
     )
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 5 + 1,
       offset: 4,
-      order: [['symbol', 'ASC NULLS LAST']],
+      order: [
+        ['symbol', 'ASC NULLS LAST'],
+        ['id', 'ASC NULLS LAST']
+      ],
       where: {}
     })
     const expected = {
       edges: normalizedData
         .sort((a, b) => a.symbol.localeCompare(b.symbol))
         .map((asset, index) => ({
-          cursor: Base64.btoa((index + 1).toString()),
+          cursor: offsetCursor(index + 1, order('symbol', 'ASC')),
           node: asset
         }))
         .slice(4, 9),
       pageInfo: {
-        endCursor: Base64.btoa('9'), // XLM is 9th in this sort/direction,
+        endCursor: offsetCursor(9, order('symbol', 'ASC')), // XLM is 9th in this sort/direction,
         hasNextPage: true,
-        hasPreviousPage: false,
-        startCursor: Base64.btoa('5') // FTP is 4th in this sort/direction
+        hasPreviousPage: true,
+        startCursor: offsetCursor(5, order('symbol', 'ASC')) // FTP is 4th in this sort/direction
       },
-      totalCount: 5
+      pageCount: 5,
+      totalCount: 12
     }
 
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('returns correct data when last, sort, & direction are supplied', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData.slice(1).reverse()
-        })
-      )
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(1).reverse()))
     }
 
     const actual = await createConnection(
@@ -258,47 +280,50 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 10 + 1,
       offset: 0,
-      order: [['market_cap', 'ASC NULLS LAST']],
+      order: [
+        ['market_cap', 'ASC NULLS FIRST'],
+        ['id', 'ASC NULLS FIRST']
+      ],
       where: {}
     })
     const expected = {
       edges: normalizedData
         .map((asset, index) => ({
-          cursor: Base64.btoa((index + 1).toString()),
+          cursor: offsetCursor(index + 1),
           node: asset
         }))
         .slice(2),
       pageInfo: {
-        endCursor: Base64.btoa('12'),
+        endCursor: offsetCursor(12),
         hasNextPage: false,
         hasPreviousPage: true,
-        startCursor: Base64.btoa('3')
+        startCursor: offsetCursor(3)
       },
-      totalCount: 10
+      pageCount: 10,
+      totalCount: 12
     }
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('returns correct data when last, before, sort and direction are supplied', async () => {
     const mockModel = {
       count: jest.fn(() => Promise.resolve(12)),
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 12,
-          rows: dbData
+      findAll: jest.fn(() =>
+        Promise.resolve(
+          dbData
             .sort((a, b) => a.display_name.localeCompare(b.display_name))
             .slice(0, 3)
             .reverse()
-        })
+        )
       )
     }
 
     const actual = await createConnection(
       {
-        before: Base64.btoa('4'), // EOS is 4th with this sort/direction
+        before: offsetCursor(4, order('display_name', 'ASC')), // EOS is 4th with this sort/direction
         direction: 'ASC',
         last: 5,
         sort: 'name'
@@ -308,10 +333,13 @@ describe('createConnection', () => {
     )
 
     expect(mockModel.count).toHaveBeenCalledWith({ where: {} })
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 5 + 1,
       offset: dbData.length - 4 + 1,
-      order: [['display_name', 'DESC NULLS LAST']],
+      order: [
+        ['display_name', 'DESC NULLS FIRST'],
+        ['id', 'DESC NULLS FIRST']
+      ],
       where: {}
     })
     // Expected [ 0x, Bitcoin, Bitcoin Cash ]
@@ -319,38 +347,36 @@ describe('createConnection', () => {
       edges: normalizedData
         .sort((a, b) => a.name.localeCompare(b.name))
         .map((asset, index) => ({
-          cursor: Base64.btoa((index + 1).toString()),
+          cursor: offsetCursor(index + 1, order('display_name', 'ASC')),
           node: asset
         }))
         .slice(0, 3),
       pageInfo: {
-        endCursor: Base64.btoa('3'),
-        hasNextPage: false,
+        endCursor: offsetCursor(3, order('display_name', 'ASC')),
+        hasNextPage: true,
         hasPreviousPage: false,
-        startCursor: Base64.btoa('1')
+        startCursor: offsetCursor(1, order('display_name', 'ASC'))
       },
-      totalCount: 3
+      pageCount: 3,
+      totalCount: 12
     }
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('returns correct data when where, sort & direction are supplied', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 2,
-          rows: [dbData[0], dbData[4]]
-        })
-      )
+      count: jest.fn(() => Promise.resolve(2)),
+      findAll: jest.fn(() => Promise.resolve([dbData[0], dbData[4]]))
     }
 
+    const search = {
+      columns: ['symbol', 'name'],
+      searchTerm: 'bitcoi'
+    }
     const actual = await createConnection(
       {
         direction: 'DESC',
-        search: {
-          columns: ['symbol', 'name'],
-          searchTerm: 'bitcoi'
-        },
+        search,
         sort: 'marketCapUsd',
         where: { rank: 1 },
         first: 20
@@ -359,10 +385,13 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 20 + 1,
       offset: 0,
-      order: [['market_cap', 'DESC NULLS LAST']],
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
       where: {
         rank: 1,
         $or: [
@@ -381,18 +410,19 @@ describe('createConnection', () => {
     })
     const expected = {
       edges: [normalizedData[0], normalizedData[4]].map((asset, index) => ({
-        cursor: Base64.btoa((index + 1).toString()),
+        cursor: offsetCursor(index + 1, order('market_cap', 'DESC'), { rank: 1 }, search),
         node: asset
       })),
       pageInfo: {
-        endCursor: Base64.btoa('2'),
+        endCursor: offsetCursor(2, order('market_cap', 'DESC'), { rank: 1 }, search),
         hasNextPage: false,
         hasPreviousPage: false,
-        startCursor: Base64.btoa('1')
+        startCursor: offsetCursor(1, order('market_cap', 'DESC'), { rank: 1 }, search)
       },
+      pageCount: 2,
       totalCount: 2
     }
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('calls customQuery.db.query with correct params when customQuery argument is supplied', async () => {
@@ -422,13 +452,12 @@ describe('createConnection', () => {
     )
 
     expect(customQuery.db.query).toHaveBeenCalledWith(
-      `${`SELECT * from asset_markets_mv where WHERE base_slug = ?
-            UNION
-            SELECT * from asset_markets_mv WHERE quote_slug = ?) x`.replace(
-        /\s/g,
-        ''
-      )} ORDER BY display_name DESC NULLS LAST LIMIT ? OFFSET ?;`,
-      { replacements: ['bitcoin', 'bitcoin', 5 + 1, 0] }
+      `WITH connection AS (${customQuery.queryString}), ` +
+        'total AS (SELECT count(*) AS full_count FROM connection) ' +
+        'SELECT connection.*, total.full_count FROM connection, total ' +
+        'ORDER BY "display_name" DESC NULLS FIRST, "id" DESC NULLS FIRST ' +
+        'LIMIT (SELECT ? + 1 FROM total) OFFSET (SELECT 0 FROM total);',
+      { replacements: ['bitcoin', 'bitcoin', 5] }
     )
   })
 
@@ -461,31 +490,30 @@ describe('createConnection', () => {
       customQuery
     )
 
+    const cursor = position =>
+      offsetCursor(position, order('market_cap', 'DESC'), {}, undefined, queryContext(customQuery))
     const expected = {
       edges: normalizedData.map((asset, index) => ({
-        cursor: Base64.btoa((index + 1).toString()),
+        cursor: cursor(index + 1),
         node: asset
       })),
       pageInfo: {
-        endCursor: Base64.btoa('12'),
+        endCursor: cursor(12),
         hasNextPage: false,
         hasPreviousPage: false,
-        startCursor: Base64.btoa('1')
+        startCursor: cursor(1)
       },
+      pageCount: 12,
       totalCount: 12
     }
 
-    expect(actual).toEqual(expected)
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('handles the case when no results are returned from the database', async () => {
     const mockModel = {
-      findAndCountAll: jest.fn(() =>
-        Promise.resolve({
-          count: 0,
-          rows: []
-        })
-      )
+      count: jest.fn(() => Promise.resolve(0)),
+      findAll: jest.fn(() => Promise.resolve([]))
     }
 
     const actual = await createConnection(
@@ -512,10 +540,13 @@ describe('createConnection', () => {
       assetsFieldMap
     )
 
-    expect(mockModel.findAndCountAll).toHaveBeenCalledWith({
+    expect(mockModel.findAll).toHaveBeenCalledWith({
       limit: 2000 + 1,
       offset: 0,
-      order: [['market_cap', 'DESC NULLS LAST']],
+      order: [
+        ['market_cap', 'DESC NULLS LAST'],
+        ['id', 'DESC NULLS LAST']
+      ],
       where: {
         $or: [
           {
@@ -539,23 +570,10 @@ describe('createConnection', () => {
         hasPreviousPage: false,
         startCursor: null
       },
+      pageCount: 0,
       totalCount: 0
     }
-    expect(actual).toEqual(expected)
-  })
-
-  it('throws an error when after and before are passed in together', async () => {
-    const args = {
-      after: Base64.btoa('995'),
-      before: Base64.btoa('995'),
-      direction: 'ASC',
-      first: 5,
-      sort: 'name'
-    }
-
-    await expect(createConnection(args, {}, assetsFieldMap)).rejects.toThrowError(
-      'Arguments after and before must not be together'
-    )
+    expect(await resolveTotalCount(actual)).toEqual(expected)
   })
 
   it('throws an error when sort and direction are not supplied', async () => {
@@ -582,220 +600,2152 @@ describe('createConnection', () => {
       'Argument fieldMap is required'
     )
   })
-})
 
-describe('mapDbFieldsToGraphQlFields', () => {
-  it('correctly maps fields', () => {
-    const dbResults = [
-      {
-        exchange_id: 'gatecoin',
-        exchange_name: 'Gatecoin',
-        rank: 22,
-        trading_pairs: '6',
-        base_id: 'd3d46cd5-6ec4-42c3-824c-0fff743d361e',
-        base_symbol: 'ETH',
-        base_slug: 'ethereum',
-        quote_id: '353587d4-4376-4af7-99d1-cb2e212614d0',
-        quote_symbol: 'BTC',
-        quote_slug: 'bitcoin',
-        usd_volume_24: '58014.4186754630313773',
-        percent_usd_volume_24: '0.016370042249820922',
-        updated: '2018-05-31T16:24:16.165Z',
-        randomIgnoredField: 'blah blah blah'
-      },
-      {
-        exchange_id: 'yobit',
-        exchange_name: 'YoBit',
-        rank: 15,
-        trading_pairs: '6',
-        base_id: '10a9c92a-130e-4686-a800-612dd75ebacf',
-        base_symbol: 'DASH',
-        base_slug: 'dash',
-        quote_id: '353587d4-4376-4af7-99d1-cb2e212614d0',
-        quote_symbol: 'BTC',
-        quote_slug: 'bitcoin',
-        usd_volume_24: '251343.263219825688093',
-        percent_usd_volume_24: '0.070922021319100436',
-        updated: '2018-05-31T16:24:16.165Z',
-        randomIgnoredField: 'blah blah blah'
-      }
-    ]
+  describe('range windows', () => {
+    const mockModel = rows => ({
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(rows)),
+      findOne: jest.fn(() => Promise.resolve(rows[0]))
+    })
 
-    const expected = [
-      {
-        id: 'gatecoin',
-        name: 'Gatecoin',
-        rank: 22,
-        tradingPairs: '6',
-        topPairBaseSymbol: 'ETH',
-        topPairBaseId: 'ethereum',
-        topPairQuoteSymbol: 'BTC',
-        topPairQuoteId: 'bitcoin',
-        volumeUsd24Hr: '58014.4186754630313773',
-        percentTotalVolume: '0.016370042249820922',
-        updatedAt: '2018-05-31T16:24:16.165Z'
-      },
-      {
-        id: 'yobit',
-        name: 'YoBit',
-        rank: 15,
-        tradingPairs: '6',
-        topPairBaseSymbol: 'DASH',
-        topPairBaseId: 'dash',
-        topPairQuoteSymbol: 'BTC',
-        topPairQuoteId: 'bitcoin',
-        volumeUsd24Hr: '251343.263219825688093',
-        percentTotalVolume: '0.070922021319100436',
-        updatedAt: '2018-05-31T16:24:16.165Z'
-      }
-    ]
+    afterEach(() => {
+      config.strictPageInfo = false
+    })
 
-    const actual = mapDbFieldsToGraphQlFields(dbResults, exchangesFieldMap)
+    it('slices between after and before when paginating forward', async () => {
+      const model = mockModel(dbData.slice(2, 5))
 
-    expect(actual).toEqual(expected)
-  })
+      const actual = await createConnection(
+        {
+          after: offsetCursor(2),
+          before: offsetCursor(5),
+          direction: 'DESC',
+          first: 3,
+          sort: 'marketCapUsd'
+        },
+        model,
+        assetsFieldMap
+      )
 
-  describe('enrichArgs', () => {
-    let args
-    it('returns expected args when no defaults are needed and has a search', () => {
-      args = {
-        before: Base64.btoa('10'),
-        direction: 'ASC',
-        last: 5,
-        sort: 'name',
-        search: 'bitcoin'
-      }
+      expect(model.findAll.mock.calls[0][0]).toMatchObject({ limit: 2 + 1, offset: 2 })
+      expect(actual.edges).toEqual(
+        normalizedData.slice(2, 4).map((asset, index) => ({
+          cursor: offsetCursor(index + 3),
+          node: asset
+        }))
+      )
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true })
+    })
 
-      const expectedArgs = {
-        before: Base64.btoa('10'),
-        direction: 'ASC',
-        last: 5,
-        sort: 'name',
-        search: {
-          columns: ['symbol, name'],
-          searchTerm: 'bitcoin'
+    it('reports no next page within the window when config.strictPageInfo is set', async () => {
+      config.strictPageInfo = true
+
+      const actual = await createConnection(
+        {
+          after: offsetCursor(2),
+          before: offsetCursor(5),
+          direction: 'DESC',
+          first: 3,
+          sort: 'marketCapUsd'
         },
-        where: {}
-      }
-      const enrichedArgs = enrichArgs({
-        args,
-        searchColumns: ['symbol, name'],
-        defaultDirection: 'DESC',
-        defaultSort: 'marketCapUsd'
-      })
+        mockModel(dbData.slice(2, 5)),
+        assetsFieldMap
+      )
 
-      expect(enrichedArgs).toEqual(expectedArgs)
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: false })
     })
 
-    it('returns expected args when defaults are needed and has a search', () => {
-      args = {
-        before: Base64.btoa('10'),
-        last: 5,
-        search: 'bitcoin'
-      }
+    it('slices between after and before when paginating backward', async () => {
+      const model = mockModel(dbData.slice(0, 9).reverse())
 
-      const expectedArgs = {
-        before: Base64.btoa('10'),
-        direction: 'DESC',
-        last: 5,
-        sort: 'marketCapUsd',
-        search: {
-          columns: ['symbol, name'],
-          searchTerm: 'bitcoin'
+      const actual = await createConnection(
+        {
+          after: offsetCursor(6),
+          before: offsetCursor(10),
+          direction: 'DESC',
+          last: 5,
+          sort: 'marketCapUsd'
         },
-        where: {}
-      }
-      const enrichedArgs = enrichArgs({
-        args,
-        searchColumns: ['symbol, name'],
-        defaultDirection: 'DESC',
-        defaultSort: 'marketCapUsd'
-      })
+        model,
+        assetsFieldMap
+      )
 
-      expect(enrichedArgs).toEqual(expectedArgs)
+      // only the 3 rows between the 6th and the 10th are left in the window
+      expect(model.findAll.mock.calls[0][0]).toMatchObject({ limit: 3 + 1, offset: 12 - 10 + 1 })
+      expect(actual.edges.map(edge => edge.cursor)).toEqual([7, 8, 9].map(p => offsetCursor(p)))
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true })
     })
 
-    it('returns expected args when defaults are needed and no search', () => {
-      args = {
-        before: Base64.btoa('10'),
-        last: 5
-      }
+    it('takes the last rows of the first ones when first and last are combined', async () => {
+      const model = mockModel(dbData.slice(0, 6))
 
-      const expectedArgs = {
-        before: Base64.btoa('10'),
-        direction: 'DESC',
-        last: 5,
-        sort: 'marketCapUsd',
-        search: undefined,
-        where: {}
-      }
-      const enrichedArgs = enrichArgs({
-        args,
-        searchColumns: ['symbol, name'],
-        defaultDirection: 'DESC',
-        defaultSort: 'marketCapUsd'
-      })
+      const actual = await createConnection(
+        { direction: 'DESC', first: 5, last: 2, sort: 'marketCapUsd' },
+        model,
+        assetsFieldMap
+      )
 
-      expect(enrichedArgs).toEqual(expectedArgs)
+      expect(model.findAll.mock.calls[0][0]).toMatchObject({
+        limit: 5 + 1,
+        offset: 0,
+        order: order('market_cap', 'DESC')
+      })
+      expect(actual.edges).toEqual(
+        normalizedData.slice(3, 5).map((asset, index) => ({
+          cursor: offsetCursor(index + 4),
+          node: asset
+        }))
+      )
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true })
     })
-  })
-})
 
-describe('handleError', () => {
-  let error
-  let wrapperFunc
+    it('applies both keyset cursors as seek predicates', async () => {
+      const model = { ...mockModel(dbData.slice(3, 5)), primaryKeyAttribute: 'slug' }
+      const keysetCursor = values =>
+        encodeCursor({ k: values }, { order: order('market_cap', 'DESC', 'slug'), where: {} })
+
+      const actual = await createConnection(
+        {
+          after: keysetCursor(['80', 'ripple']),
+          before: keysetCursor(['50', 'litecoin']),
+          direction: 'DESC',
+          first: 2,
+          last: 1,
+          sort: 'marketCapUsd'
+        },
+        model,
+        assetsFieldMap,
+        undefined,
+        { keyset: true }
+      )
 
-  it('rethrows validation errors', () => {
-    error = new Error('Validation error: Arguments after and before must not be together')
-    wrapperFunc = () => handleError(error)
+      expect(model.findAll.mock.calls[0][0].where).toEqual({
+        $and: [
+          {},
+          {
+            $or: [
+              { $and: [{ $or: [{ market_cap: { $lt: '80' } }, { market_cap: null }] }] },
+              {
+                $and: [{ market_cap: '80' }, { $or: [{ slug: { $lt: 'ripple' } }, { slug: null }] }]
+              }
+            ]
+          },
+          {
+            $or: [
+              { $and: [{ market_cap: { $gt: '50' } }] },
+              { $and: [{ market_cap: '50' }, { slug: { $gt: 'litecoin' } }] }
+            ]
+          }
+        ]
+      })
+      expect(actual.edges.map(edge => edge.node.id)).toEqual(['eos'])
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true })
+    })
 
-    expect(wrapperFunc).toThrowError(error)
+    it('applies both keyset cursors to customQuery', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([]))
+        },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+      const keysetCursor = values =>
+        encodeCursor(
+          { k: values },
+          { order: order('rank', 'ASC', 'slug'), query: queryContext(customQuery), where: {} }
+        )
+
+      await createConnection(
+        {
+          after: keysetCursor([2, 'ethereum']),
+          before: keysetCursor([5, 'eos']),
+          direction: 'ASC',
+          first: 2,
+          sort: 'rank'
+        },
+        undefined,
+        assetsFieldMap,
+        customQuery,
+        { keyset: true, tiebreaker: 'slug' }
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        'SELECT * FROM (SELECT * FROM assets_mv) AS connection WHERE ' +
+          '((("rank" > ? OR "rank" IS NULL) OR ("rank" = ? AND ("slug" > ? OR "slug" IS NULL))) AND ' +
+          '("rank" < ? OR ("rank" = ? AND "slug" < ?))) ' +
+          'ORDER BY "rank" ASC NULLS LAST, "slug" ASC NULLS LAST LIMIT ?;',
+        { replacements: [2, 2, 'ethereum', 5, 5, 'eos', 2 + 1] }
+      )
+    })
   })
 
-  it('throws a generic error for all other errors', () => {
-    error = new Error('SQL Error: assets_mv does not exist')
-    wrapperFunc = () => handleError(error)
+  describe('cursor context', () => {
+    const mockModel = () => ({
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3)))
+    })
+    const search = { columns: ['symbol', 'name'], searchTerm: 'bit' }
+    const args = {
+      after: offsetCursor(3, order('market_cap', 'DESC'), { rank: 1 }, search),
+      direction: 'DESC',
+      first: 3,
+      search,
+      sort: 'marketCapUsd',
+      where: { rank: 1 }
+    }
 
-    expect(wrapperFunc).toThrowError(
-      'An unexpected error has occurred. Please try back again later.'
-    )
-  })
-})
+    it('accepts a cursor used with the query it was issued for', async () => {
+      const model = mockModel()
+      await createConnection(args, model, assetsFieldMap)
 
-describe('deleteAndReturn', () => {
-  let destroy
-  let findOne
-  let model
-  let where
+      expect(model.findAll.mock.calls[0][0].offset).toEqual(3)
+    })
 
-  beforeEach(() => {
-    destroy = jest.fn(() => 1)
-    findOne = jest.fn(() => ({
-      id: 'this is a guid',
-      name: 'lambo',
-      user_id: 'this is a user id',
-      created: '2019-01-25T22:43:29.993Z',
-      updated: '2019-01-25T22:43:29.993Z',
-      deleted: ''
-    }))
-    model = {
-      destroy,
-      findOne
-    }
-    where = {
-      asset_id: 'bitcoin',
-      portfolio_id: 'this-is-a-uuid'
-    }
-  })
+    it('accepts an endCursor as the before cursor of backward pagination', async () => {
+      const model = mockModel()
+      const { after, first, ...rest } = args
+      await createConnection({ ...rest, before: after, last: 2 }, model, assetsFieldMap)
 
-  it('calls model.findOne', async () => {
-    await deleteAndReturn(model, where)
-    expect(findOne).toHaveBeenCalledWith({ where })
-  })
+      expect(model.findAll.mock.calls[0][0].offset).toEqual(12 - 3 + 1)
+    })
 
-  it('calls model.destroy', async () => {
-    await deleteAndReturn(model, where)
-    expect(destroy).toHaveBeenCalledWith({ where })
+    it.each([
+      ['sort', { sort: 'name' }],
+      ['direction', { direction: 'ASC' }],
+      ['filter', { where: { rank: 2 } }],
+      ['search', { search: { ...search, searchTerm: 'eth' } }]
+    ])('rejects a cursor reused with a different %s', async (part, change) => {
+      const error = await createConnection(
+        { ...args, ...change },
+        mockModel(),
+        assetsFieldMap
+      ).catch(err => err)
+
+      expect(error.message).toEqual(
+        `Validation error: Cursor was issued for a different ${part}, restart pagination`
+      )
+      expect(() => handleError(error)).toThrowError(error)
+    })
+
+    it('rejects a cursor reused with a differently scoped or filtered custom query', async () => {
+      const customQuery = (exchangeId, filter) => ({
+        db: { query: jest.fn(() => Promise.resolve(dbData.slice(0, 3))) },
+        sql: sql`SELECT * FROM markets WHERE exchange_id = ${exchangeId} AND ${filterToSql(
+          filter,
+          assetsFieldMap
+        )}`
+      })
+      const { endCursor } = (
+        await createConnection(
+          { direction: 'DESC', first: 3, sort: 'marketCapUsd' },
+          undefined,
+          assetsFieldMap,
+          customQuery('binance', { rank: { lt: 10 } })
+        )
+      ).pageInfo
+      const nextPage = query =>
+        createConnection(
+          { after: endCursor, direction: 'DESC', first: 3, sort: 'marketCapUsd' },
+          undefined,
+          assetsFieldMap,
+          query
+        )
+
+      await expect(nextPage(customQuery('binance', { rank: { lt: 10 } }))).resolves.toBeDefined()
+      await expect(nextPage(customQuery('kraken', { rank: { lt: 10 } }))).rejects.toThrowError(
+        'Validation error: Cursor was issued for a different query, restart pagination'
+      )
+      await expect(nextPage(customQuery('binance', { rank: { gt: 10 } }))).rejects.toThrowError(
+        'Validation error: Cursor was issued for a different query, restart pagination'
+      )
+    })
+  })
+
+  describe('pageInfo', () => {
+    const mockModel = () => ({
+      count: jest.fn(() => Promise.resolve(12)),
+      findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3)))
+    })
+
+    afterEach(() => {
+      config.strictPageInfo = false
+    })
+
+    it('sets hasPreviousPage when paginating forward past the first item', async () => {
+      const actual = await createConnection(
+        { after: offsetCursor(1), direction: 'DESC', first: 3, sort: 'marketCapUsd' },
+        mockModel(),
+        assetsFieldMap
+      )
+
+      expect(actual.pageInfo.hasPreviousPage).toEqual(true)
+      expect(actual.pageInfo.hasNextPage).toEqual(false)
+    })
+
+    it('sets hasNextPage when paginating backward before an existing item', async () => {
+      const actual = await createConnection(
+        { before: offsetCursor(12), direction: 'DESC', last: 3, sort: 'marketCapUsd' },
+        mockModel(),
+        assetsFieldMap
+      )
+
+      expect(actual.pageInfo.hasNextPage).toEqual(true)
+      expect(actual.pageInfo.hasPreviousPage).toEqual(false)
+    })
+
+    it('leaves the opposite direction false when config.strictPageInfo is set', async () => {
+      config.strictPageInfo = true
+      const actual = await createConnection(
+        { after: offsetCursor(1), direction: 'DESC', first: 3, sort: 'marketCapUsd' },
+        mockModel(),
+        assetsFieldMap
+      )
+
+      expect(actual.pageInfo.hasPreviousPage).toEqual(false)
+    })
+  })
+
+  describe('totalCount', () => {
+    it('returns the count of all matching rows and the length of the page', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(12)),
+        findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3)))
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap
+      )
+
+      expect(await actual.totalCount()).toEqual(12)
+      expect(actual.pageCount).toEqual(2)
+    })
+
+    it('returns a null totalCount without counting when counting is disabled', async () => {
+      const mockModel = {
+        findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3))),
+        count: jest.fn()
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { count: false }
+      )
+
+      expect(await actual.totalCount()).toEqual(null)
+      expect(mockModel.count).not.toHaveBeenCalled()
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 2 + 1,
+        offset: 0,
+        order: [
+          ['market_cap', 'DESC NULLS LAST'],
+          ['id', 'DESC NULLS LAST']
+        ],
+        where: {}
+      })
+      expect(await actual.totalCount()).toEqual(null)
+      expect(actual.pageCount).toEqual(2)
+      expect(actual.pageInfo.hasNextPage).toEqual(true)
+    })
+
+    it('only counts when totalCount is resolved, and only once', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(12)),
+        findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3)))
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap
+      )
+
+      expect(mockModel.count).not.toHaveBeenCalled()
+      expect(await actual.totalCount()).toEqual(12)
+      expect(await actual.totalCount()).toEqual(12)
+      expect(mockModel.count).toHaveBeenCalledTimes(1)
+    })
+
+    it('shares the count between backward offset pagination and totalCount', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(12)),
+        findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3)))
+      }
+
+      const actual = await createConnection(
+        {
+          before: offsetCursor(4, order('display_name', 'ASC')),
+          direction: 'ASC',
+          last: 2,
+          sort: 'name'
+        },
+        mockModel,
+        assetsFieldMap
+      )
+
+      expect(await actual.totalCount()).toEqual(12)
+      expect(mockModel.count).toHaveBeenCalledTimes(1)
+    })
+
+    it('counts customQuery results with a wrapping query when the page is empty', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(sql =>
+            Promise.resolve(sql.startsWith('SELECT count(*)') ? [{ full_count: '7' }] : [])
+          )
+        },
+        queryString: 'SELECT * FROM assets_mv WHERE quote_slug = ?',
+        replacements: ['bitcoin']
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+      expect(await actual.totalCount()).toEqual(7)
+      expect(customQuery.db.query).toHaveBeenLastCalledWith(
+        'SELECT count(*) AS full_count FROM (SELECT * FROM assets_mv WHERE quote_slug = ?) AS connection;',
+        { replacements: ['bitcoin'] }
+      )
+    })
+
+    it('converts full_count of customQuery results to a number', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([{ ...dbData[0], full_count: '42' }]))
+        },
+        queryString: 'SELECT *, count(*) OVER() AS full_count FROM assets_mv',
+        replacements: []
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(await actual.totalCount()).toEqual(42)
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+    })
+
+    it('counts customQuery results along with the page', async () => {
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.resolve([{ ...dbData[0], full_count: '42' }])) },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query.mock.calls[0][0]).toMatch(
+        /^SELECT \*, count\(\*\) OVER\(\) AS full_count FROM \(SELECT \* FROM assets_mv\) AS connection /
+      )
+      expect(await actual.totalCount()).toEqual(42)
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+    })
+
+    it('does not count customQuery results when counting is disabled', async () => {
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.resolve([dbData[0]])) },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        undefined,
+        assetsFieldMap,
+        customQuery,
+        { count: false }
+      )
+
+      expect(customQuery.db.query.mock.calls[0][0]).toMatch(
+        /^SELECT \* FROM \(SELECT \* FROM assets_mv\) AS connection /
+      )
+      expect(await actual.totalCount()).toEqual(null)
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+    })
+
+    it('pages customQuery results backward with a single query', async () => {
+      // flipped order: the page starts 12 - 10 + 1 = 3 rows in, at position 9, and peeks at position 6
+      const rows = [9, 8, 7, 6].map(position => ({ ...dbData[position - 1], full_count: '12' }))
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.resolve(rows)) },
+        queryString: 'SELECT * FROM assets_mv WHERE quote_slug = ?',
+        replacements: ['bitcoin']
+      }
+      const forwardOrder = order('display_name', 'ASC', 'slug')
+      const cursor = position =>
+        offsetCursor(position, forwardOrder, {}, undefined, queryContext(customQuery))
+
+      const actual = await createConnection(
+        { before: cursor(10), direction: 'ASC', last: 3, sort: 'name' },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        'WITH connection AS (SELECT * FROM assets_mv WHERE quote_slug = ?), ' +
+          'total AS (SELECT count(*) AS full_count FROM connection) ' +
+          'SELECT connection.*, total.full_count FROM connection, total ' +
+          'ORDER BY "display_name" DESC NULLS FIRST, "slug" DESC NULLS FIRST ' +
+          'LIMIT (SELECT ? + 1 FROM total) OFFSET (SELECT GREATEST(full_count - ? + 1, 0) FROM total);',
+        { replacements: ['bitcoin', 3, 10] }
+      )
+      expect(actual.edges.map(edge => edge.cursor)).toEqual(
+        [7, 8, 9].map(position => cursor(position))
+      )
+      expect(actual.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true })
+      expect(await actual.totalCount()).toEqual(12)
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+    })
+
+    it('bounds backward customQuery pages by the after cursor in SQL', async () => {
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.resolve([{ ...dbData[8], full_count: '12' }])) },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+      const forwardOrder = order('display_name', 'ASC', 'slug')
+      const cursor = position =>
+        offsetCursor(position, forwardOrder, {}, undefined, queryContext(customQuery))
+
+      const actual = await createConnection(
+        {
+          after: cursor(8),
+          before: cursor(10),
+          direction: 'ASC',
+          last: 3,
+          sort: 'name'
+        },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        expect.stringContaining(
+          'LIMIT (SELECT LEAST(?, GREATEST(full_count - ? - GREATEST(full_count - ? + 1, 0), 0)) + 1 FROM total) ' +
+            'OFFSET (SELECT GREATEST(full_count - ? + 1, 0) FROM total);'
+        ),
+        { replacements: [3, 8, 10, 10] }
+      )
+      expect(actual.edges.map(edge => edge.cursor)).toEqual([cursor(9)])
+      expect(customQuery.db.query).toHaveBeenCalledTimes(1)
+    })
+
+    it('counts separately when a backward customQuery page is empty', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(sql =>
+            Promise.resolve(sql.startsWith('SELECT count(*)') ? [{ full_count: '12' }] : [])
+          )
+        },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      const actual = await createConnection(
+        {
+          before: offsetCursor(
+            1,
+            order('display_name', 'ASC', 'slug'),
+            {},
+            undefined,
+            queryContext(customQuery)
+          ),
+          direction: 'ASC',
+          last: 3,
+          sort: 'name'
+        },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(actual.edges).toEqual([])
+      expect(actual.pageInfo.hasNextPage).toEqual(true)
+      expect(await actual.totalCount()).toEqual(12)
+      expect(customQuery.db.query).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('multi-column sort', () => {
+    const sort = [
+      { field: 'rank', direction: 'ASC' },
+      { field: 'marketCapUsd', direction: 'DESC', nulls: 'FIRST' },
+      { field: 'name' }
+    ]
+
+    it('maps every sort spec through fieldMap', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(0)),
+        findAll: jest.fn(() => Promise.resolve([]))
+      }
+
+      await createConnection({ direction: 'DESC', first: 5, sort }, mockModel, assetsFieldMap)
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 5 + 1,
+        offset: 0,
+        order: [
+          ['rank', 'ASC NULLS LAST'],
+          ['market_cap', 'DESC NULLS FIRST'],
+          ['display_name', 'DESC NULLS LAST'],
+          ['id', 'ASC NULLS LAST']
+        ],
+        where: {}
+      })
+    })
+
+    it('flips every sort spec for backward pagination', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(0)),
+        findAll: jest.fn(() => Promise.resolve([]))
+      }
+
+      await createConnection({ direction: 'DESC', last: 5, sort }, mockModel, assetsFieldMap)
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 5 + 1,
+        offset: 0,
+        order: [
+          ['rank', 'DESC NULLS FIRST'],
+          ['market_cap', 'ASC NULLS LAST'],
+          ['display_name', 'ASC NULLS FIRST'],
+          ['id', 'DESC NULLS FIRST']
+        ],
+        where: {}
+      })
+    })
+
+    it('emits the full ORDER BY list for customQuery', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([]))
+        },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      await createConnection(
+        { direction: 'ASC', first: 5, sort },
+        undefined,
+        assetsFieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        'SELECT *, count(*) OVER() AS full_count FROM (SELECT * FROM assets_mv) AS connection ' +
+          'ORDER BY "rank" ASC NULLS LAST, "market_cap" DESC NULLS FIRST, ' +
+          '"display_name" ASC NULLS LAST, "slug" ASC NULLS LAST LIMIT ? OFFSET ?;',
+        { replacements: [5 + 1, 0] }
+      )
+    })
+
+    it('carries every sort key through keyset cursors', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(1)),
+        findAll: jest.fn(() =>
+          Promise.resolve([
+            { slug: 'bitcoin', rank: 1, market_cap: '100', display_name: 'Bitcoin' }
+          ])
+        )
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 5, sort },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { keyset: true, tiebreaker: 'slug' }
+      )
+
+      expect(actual.pageInfo.endCursor).toEqual(
+        encodeCursor(
+          { k: [1, '100', 'Bitcoin', 'bitcoin'] },
+          {
+            order: [
+              ['rank', 'ASC NULLS LAST'],
+              ['market_cap', 'DESC NULLS FIRST'],
+              ['display_name', 'DESC NULLS LAST'],
+              ['slug', 'ASC NULLS LAST']
+            ],
+            where: {}
+          }
+        )
+      )
+    })
+
+    it('throws an error when a sort spec has no direction', async () => {
+      await expect(
+        createConnection({ first: 5, sort: [{ field: 'rank' }] }, {}, assetsFieldMap)
+      ).rejects.toThrowError('Arguments sort and direction are required')
+    })
+  })
+
+  describe('tiebreaker', () => {
+    const mockModel = () => ({
+      count: jest.fn(() => Promise.resolve(0)),
+      findAll: jest.fn(() => Promise.resolve([]))
+    })
+
+    afterEach(() => {
+      config.tiebreaker = null
+    })
+
+    it("appends the model's primary key to the order", async () => {
+      const model = { ...mockModel(), primaryKeyAttribute: 'slug' }
+
+      await createConnection(
+        { direction: 'DESC', last: 5, sort: 'marketCapUsd' },
+        model,
+        assetsFieldMap
+      )
+
+      expect(model.findAll.mock.calls[0][0].order).toEqual([
+        ['market_cap', 'ASC NULLS FIRST'],
+        ['slug', 'ASC NULLS FIRST']
+      ])
+    })
+
+    it('uses the tiebreaker passed in over the primary key', async () => {
+      const model = { ...mockModel(), primaryKeyAttribute: 'slug' }
+
+      await createConnection(
+        { direction: 'ASC', first: 5, sort: 'name' },
+        model,
+        assetsFieldMap,
+        undefined,
+        { tiebreaker: 'symbol' }
+      )
+
+      expect(model.findAll.mock.calls[0][0].order).toEqual([
+        ['display_name', 'ASC NULLS LAST'],
+        ['symbol', 'ASC NULLS LAST']
+      ])
+    })
+
+    it('does not append the tiebreaker when it is already sorted on', async () => {
+      const model = { ...mockModel(), primaryKeyAttribute: 'slug' }
+
+      await createConnection({ direction: 'ASC', first: 5, sort: 'id' }, model, assetsFieldMap)
+
+      expect(model.findAll.mock.calls[0][0].order).toEqual([['slug', 'ASC NULLS LAST']])
+    })
+
+    it('uses config.tiebreaker over the primary key', async () => {
+      const model = { ...mockModel(), primaryKeyAttribute: 'slug' }
+      config.tiebreaker = 'symbol'
+
+      await createConnection({ direction: 'ASC', first: 5, sort: 'name' }, model, assetsFieldMap)
+
+      expect(model.findAll.mock.calls[0][0].order).toEqual([
+        ['display_name', 'ASC NULLS LAST'],
+        ['symbol', 'ASC NULLS LAST']
+      ])
+    })
+
+    it.each([
+      ['config.tiebreaker', 'symbol', exchangesFieldMap, 'symbol'],
+      ["the fieldMap's id column", null, exchangesFieldMap, 'exchange_id'],
+      ['id', null, { volumeUsd24Hr: 'usd_volume_24' }, 'id']
+    ])('falls back to %s for customQuery', async (fallback, tiebreaker, fieldMap, column) => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([]))
+        },
+        queryString: 'SELECT * FROM exchanges_mv',
+        replacements: []
+      }
+      config.tiebreaker = tiebreaker
+
+      await createConnection(
+        { direction: 'DESC', first: 5, sort: 'volumeUsd24Hr' },
+        undefined,
+        fieldMap,
+        customQuery
+      )
+
+      expect(customQuery.db.query.mock.calls[0][0]).toEqual(
+        'SELECT *, count(*) OVER() AS full_count FROM (SELECT * FROM exchanges_mv) AS connection ' +
+          `ORDER BY "usd_volume_24" DESC NULLS LAST, "${column}" DESC NULLS LAST LIMIT ? OFFSET ?;`
+      )
+    })
+  })
+
+  describe('sort and search validation', () => {
+    const mockModel = () => ({
+      count: jest.fn(() => Promise.resolve(0)),
+      findAll: jest.fn(() => Promise.resolve([]))
+    })
+    const sortableFields = 'id, name, symbol, rank, marketCapUsd, updatedAt'
+
+    it.each([
+      [{ sort: 'price' }, `unknown sort field "price"; allowed: ${sortableFields}`, 'sort'],
+      [
+        { sort: [{ field: 'rank' }, { field: 'market_cap' }] },
+        `unknown sort field "market_cap"; allowed: ${sortableFields}`,
+        'sort'
+      ],
+      [{ direction: 'UP' }, 'direction must be ASC or DESC', 'direction'],
+      [
+        { sort: [{ field: 'rank', direction: 'DESC NULLS FIRST' }] },
+        'direction must be ASC or DESC',
+        'sort.0.direction'
+      ],
+      [
+        { sort: [{ field: 'rank', nulls: 'FIRST; --' }] },
+        'nulls must be FIRST or LAST',
+        'sort.0.nulls'
+      ],
+      [
+        { search: { columns: ['symbol', 'slug'], searchTerm: 'btc' } },
+        `unknown search field "slug"; allowed: ${sortableFields}`,
+        'search.columns'
+      ],
+      [
+        { search: { columns: [], searchTerm: 'btc' } },
+        'Search columns must be a non-empty list',
+        'search.columns'
+      ]
+    ])('rejects %j', async (args, message, field) => {
+      const model = mockModel()
+
+      const connection = createConnection(
+        { direction: 'ASC', first: 5, sort: 'rank', ...args },
+        model,
+        assetsFieldMap
+      )
+
+      await expect(connection).rejects.toThrowError(`Validation error: ${message}`)
+      await expect(connection).rejects.toMatchObject({
+        extensions: { code: 'BAD_USER_INPUT', field }
+      })
+      expect(model.findAll).not.toHaveBeenCalled()
+    })
+
+    it('only lists the fields allowing the sort or search', async () => {
+      const fieldMap = {
+        id: 'slug',
+        name: { column: 'display_name', sortable: false },
+        rank: { column: 'rank', searchable: false }
+      }
+
+      await expect(
+        createConnection({ direction: 'ASC', first: 5, sort: 'price' }, mockModel(), fieldMap)
+      ).rejects.toThrowError('Validation error: unknown sort field "price"; allowed: id, rank')
+      await expect(
+        createConnection(
+          {
+            direction: 'ASC',
+            first: 5,
+            search: { columns: ['symbol'], searchTerm: 'btc' },
+            sort: 'id'
+          },
+          mockModel(),
+          fieldMap
+        )
+      ).rejects.toThrowError('Validation error: unknown search field "symbol"; allowed: id, name')
+    })
+
+    it('accepts directions in any case', async () => {
+      const model = mockModel()
+
+      await createConnection(
+        {
+          direction: 'desc',
+          first: 5,
+          sort: [{ field: 'rank', direction: 'asc', nulls: 'first' }]
+        },
+        model,
+        assetsFieldMap
+      )
+
+      expect(model.findAll.mock.calls[0][0].order).toEqual([
+        ['rank', 'ASC NULLS FIRST'],
+        ['id', 'ASC NULLS LAST']
+      ])
+    })
+  })
+
+  describe('fieldMap entries', () => {
+    const fieldMap = {
+      id: 'slug',
+      name: { column: 'display_name', sortable: false },
+      website: 'metadata.website',
+      label: row => `${row.display_name} (${row.symbol})`
+    }
+    const mockModel = () => ({
+      count: jest.fn(() => Promise.resolve(1)),
+      findAll: jest.fn(() =>
+        Promise.resolve([
+          {
+            display_name: 'Bitcoin',
+            metadata: { website: 'bitcoin.org' },
+            slug: 'bitcoin',
+            symbol: 'BTC'
+          }
+        ])
+      )
+    })
+
+    it('reads dotted paths and computed fields', async () => {
+      const connection = await createConnection(
+        { direction: 'ASC', first: 1, sort: 'id' },
+        mockModel(),
+        fieldMap
+      )
+
+      expect(connection.edges[0].node).toEqual({
+        id: 'bitcoin',
+        label: 'Bitcoin (BTC)',
+        name: 'Bitcoin',
+        website: 'bitcoin.org'
+      })
+    })
+
+    it('rejects sorts and searches on fields without the capability', async () => {
+      const model = mockModel()
+
+      await expect(
+        createConnection({ direction: 'ASC', first: 1, sort: 'name' }, model, fieldMap)
+      ).rejects.toThrowError('Validation error: Field "name" is not sortable')
+      await expect(
+        createConnection(
+          { direction: 'ASC', first: 1, sort: [{ field: 'label' }] },
+          model,
+          fieldMap
+        )
+      ).rejects.toThrowError('Validation error: Field "label" is not sortable')
+      await expect(
+        createConnection(
+          {
+            direction: 'ASC',
+            first: 1,
+            search: { columns: ['website'], searchTerm: 'btc' },
+            sort: 'id'
+          },
+          model,
+          fieldMap
+        )
+      ).rejects.toThrowError('Validation error: Field "website" is not searchable')
+      expect(model.findAll).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('instrumentation', () => {
+    afterEach(() => {
+      config.onQuery = null
+    })
+
+    it('reports every query and the reused count to config.onQuery', async () => {
+      const events = []
+      config.onQuery = event => events.push(event)
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(12)),
+        findAll: jest.fn(() => Promise.resolve(dbData.slice(0, 3))),
+        name: 'assets'
+      }
+
+      const connection = await createConnection(
+        { direction: 'DESC', last: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap
+      )
+      await connection.totalCount()
+
+      expect(events).toEqual([
+        expect.objectContaining({
+          cacheHit: false,
+          duration: expect.any(Number),
+          limit: 3,
+          model: 'assets',
+          name: 'page',
+          offset: 0,
+          order: order('market_cap', 'ASC').map(([column]) => [column, 'ASC NULLS FIRST']),
+          rowCount: 3
+        }),
+        expect.objectContaining({ cacheHit: false, model: 'assets', name: 'count', where: {} }),
+        expect.objectContaining({ cacheHit: true, name: 'count' })
+      ])
+    })
+
+    it('reports the SQL of custom queries and failed queries', async () => {
+      const events = []
+      config.onQuery = event => events.push(event)
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.reject(new Error('relation does not exist'))) },
+        queryString: 'SELECT * FROM assets_mv WHERE rank < ?',
+        replacements: [100]
+      }
+
+      await expect(
+        createConnection(
+          { direction: 'ASC', first: 5, sort: 'rank' },
+          undefined,
+          assetsFieldMap,
+          customQuery
+        )
+      ).rejects.toThrow('relation does not exist')
+
+      expect(events).toEqual([
+        expect.objectContaining({
+          error: new Error('relation does not exist'),
+          name: 'page',
+          replacements: [100, 5 + 1, 0],
+          rowCount: 0,
+          sql: customQuery.db.query.mock.calls[0][0]
+        })
+      ])
+    })
+  })
+
+  describe('serializers', () => {
+    it('serializes the nodes without modifying the rows', async () => {
+      const updated = new Date('2019-01-25T22:43:29.993Z')
+      const rows = [{ ...dbData[0], updated }]
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(1)),
+        findAll: jest.fn(() => Promise.resolve(rows))
+      }
+
+      const connection = await createConnection(
+        { direction: 'DESC', first: 1, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { serializers: { marketCapUsd: serializers.number, updatedAt: serializers.isoDate } }
+      )
+
+      expect(connection.edges[0].node).toMatchObject({
+        marketCapUsd: Number(dbData[0].market_cap),
+        updatedAt: '2019-01-25T22:43:29.993Z'
+      })
+      expect(rows[0].updated).toBe(updated)
+    })
+  })
+
+  describe('node IDs', () => {
+    it('exposes the global IDs of the nodes with options.nodeType', async () => {
+      const rows = dbData.slice(0, 2)
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(12)),
+        findAll: jest.fn(() => Promise.resolve(rows))
+      }
+
+      const connection = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { nodeType: 'Asset' }
+      )
+
+      expect(connection.edges.map(edge => edge.node)).toEqual(
+        mapDbFieldsToGraphQlFields(rows, assetsFieldMap).map(node => ({
+          ...node,
+          id: toGlobalId('Asset', node.id)
+        }))
+      )
+    })
+
+    it("uses the model's primary key without an id in the fieldMap", async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(1)),
+        findAll: jest.fn(() => Promise.resolve([{ exchange_id: 7, name: 'Binance', slug: 'b' }])),
+        primaryKeyAttribute: 'exchange_id'
+      }
+
+      const connection = await createConnection(
+        { direction: 'ASC', first: 1, sort: 'name' },
+        mockModel,
+        { name: 'name' },
+        undefined,
+        { nodeType: 'Exchange', tiebreaker: 'slug' }
+      )
+
+      expect(connection.edges[0].node).toEqual({ id: toGlobalId('Exchange', 7), name: 'Binance' })
+    })
+
+    it('uses the tiebreaker of custom queries without an id in the fieldMap', async () => {
+      const customQuery = {
+        db: { query: jest.fn(() => Promise.resolve([{ exchange_id: 7, name: 'Binance' }])) },
+        queryString: 'SELECT * FROM exchanges_mv'
+      }
+
+      const connection = await createConnection(
+        { direction: 'ASC', first: 1, sort: 'name' },
+        undefined,
+        { name: 'name' },
+        customQuery,
+        { nodeType: 'Exchange', tiebreaker: 'exchange_id' }
+      )
+
+      expect(connection.edges[0].node).toEqual({ id: toGlobalId('Exchange', 7), name: 'Binance' })
+    })
+  })
+
+  describe('custom query safety', () => {
+    const customQuery = () => ({
+      db: { query: jest.fn(() => Promise.resolve([])) },
+      queryString: 'SELECT * FROM assets_mv',
+      replacements: []
+    })
+
+    it('accepts a query built with the sql tag', async () => {
+      const query = customQuery()
+      const symbol = "BTC'; --"
+
+      await createConnection(
+        { direction: 'ASC', first: 5, sort: 'name' },
+        undefined,
+        assetsFieldMap,
+        { db: query.db, sql: sql`SELECT * FROM assets_mv WHERE symbol = ${symbol}` }
+      )
+
+      expect(query.db.query).toHaveBeenCalledWith(
+        'SELECT *, count(*) OVER() AS full_count FROM (SELECT * FROM assets_mv WHERE symbol = ?) AS connection ' +
+          'ORDER BY "display_name" ASC NULLS LAST, "slug" ASC NULLS LAST LIMIT ? OFFSET ?;',
+        { replacements: [symbol, 5 + 1, 0] }
+      )
+    })
+
+    it('rejects sql that was not built with the sql tag', async () => {
+      const query = customQuery()
+
+      await expect(
+        createConnection({ direction: 'ASC', first: 5, sort: 'name' }, undefined, assetsFieldMap, {
+          db: query.db,
+          sql: { sql: 'SELECT * FROM assets_mv', replacements: [] }
+        })
+      ).rejects.toThrowError('customQuery.sql must be built with the sql tag')
+      expect(query.db.query).not.toHaveBeenCalled()
+    })
+
+    it('only sorts by columns of the fieldMap and the tiebreaker', async () => {
+      const query = customQuery()
+      const fieldMap = { ...assetsFieldMap, injected: 'rank; DROP TABLE assets' }
+
+      await expect(
+        createConnection(
+          { direction: 'ASC', first: 5, sort: 'unknown' },
+          undefined,
+          assetsFieldMap,
+          query
+        )
+      ).rejects.toThrowError('Validation error: unknown sort field "unknown"')
+      await createConnection(
+        { direction: 'ASC', first: 5, sort: 'injected' },
+        undefined,
+        fieldMap,
+        query
+      )
+      expect(query.db.query.mock.calls[0][0]).toContain(
+        'ORDER BY "rank; DROP TABLE assets" ASC NULLS LAST'
+      )
+    })
+
+    it.each([
+      [{ name: { column: 'assets_mv.display_name' } }, {}, 'assets_mv.display_name'],
+      [{ name: 'display_name' }, { tiebreaker: 'assets_mv.id' }, 'assets_mv.id']
+    ])(
+      'rejects qualified columns of the fieldMap %j and options %j',
+      async (fieldMap, options, column) => {
+        const query = customQuery()
+
+        await expect(
+          createConnection(
+            { direction: 'ASC', first: 5, sort: 'name' },
+            undefined,
+            fieldMap,
+            query,
+            options
+          )
+        ).rejects.toThrowError(
+          `Custom queries are sorted by their output columns, "${column}" must not be qualified`
+        )
+        expect(query.db.query).not.toHaveBeenCalled()
+      }
+    )
+
+    it('rejects sort directions other than ASC and DESC', async () => {
+      const query = customQuery()
+
+      await expect(
+        createConnection(
+          { direction: 'ASC; DROP TABLE assets; --', first: 5, sort: 'name' },
+          undefined,
+          assetsFieldMap,
+          query
+        )
+      ).rejects.toThrowError('Validation error: direction must be ASC or DESC')
+      expect(query.db.query).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('filter', () => {
+    it('translates the filter argument and binds cursors to it', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(2)),
+        findAll: jest.fn(() => Promise.resolve([dbData[0], dbData[4]]))
+      }
+      const filter = { marketCapUsd: { gt: 1000 } }
+      const where = { $and: [{ rank: 1 }, { $and: [{ market_cap: { $gt: 1000 } }] }] }
+
+      const actual = await createConnection(
+        { direction: 'DESC', filter, first: 2, sort: 'marketCapUsd', where: { rank: 1 } },
+        mockModel,
+        assetsFieldMap
+      )
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 2 + 1,
+        offset: 0,
+        order: order('market_cap', 'DESC'),
+        where
+      })
+      expect(actual.pageInfo.endCursor).toEqual(offsetCursor(2, order('market_cap', 'DESC'), where))
+    })
+
+    it('keeps OR filters next to the search', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(0)),
+        findAll: jest.fn(() => Promise.resolve([]))
+      }
+
+      await createConnection(
+        {
+          direction: 'DESC',
+          first: 2,
+          search: { columns: ['symbol'], searchTerm: 'bit' },
+          sort: 'marketCapUsd',
+          where: { $or: [{ rank: 1 }, { rank: 2 }] }
+        },
+        mockModel,
+        assetsFieldMap
+      )
+
+      expect(mockModel.findAll.mock.calls[0][0].where).toEqual({
+        $and: [{ $or: [{ rank: 1 }, { rank: 2 }] }, { $or: [{ symbol: { $iLike: 'bit%' } }] }]
+      })
+    })
+
+    it('rejects filters for custom queries', async () => {
+      const customQuery = {
+        db: { query: jest.fn() },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      await expect(
+        createConnection(
+          { direction: 'DESC', filter: { rank: { eq: 1 } }, first: 2, sort: 'marketCapUsd' },
+          undefined,
+          assetsFieldMap,
+          customQuery
+        )
+      ).rejects.toMatchObject({
+        extensions: { code: 'BAD_USER_INPUT', field: 'filter' },
+        message: 'Validation error: Filter is not supported on custom queries'
+      })
+      expect(customQuery.db.query).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('search modes', () => {
+    const sequelize = {
+      col: column => ({ col: column }),
+      fn: (name, ...args) => ({ fn: name, args }),
+      where: (left, comparator, right) => ({ left, comparator, right })
+    }
+    const findAllWith = async (search, options = {}) => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(0)),
+        findAll: jest.fn(() => Promise.resolve([])),
+        sequelize
+      }
+      await createConnection(
+        { direction: 'DESC', first: 10, search, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        options
+      )
+      return mockModel.findAll.mock.calls[0][0]
+    }
+
+    it.each([
+      ['prefix', 'bit%'],
+      ['contains', '%bit%'],
+      ['exact', 'bit']
+    ])('matches %s searches with iLike', async (mode, pattern) => {
+      const { where } = await findAllWith({ columns: ['symbol'], mode, searchTerm: 'bit' })
+
+      expect(where).toEqual({ $or: [{ symbol: { $iLike: pattern } }] })
+    })
+
+    it('defaults to a prefix search', async () => {
+      const { where } = await findAllWith({ columns: ['symbol'], searchTerm: 'bit' })
+
+      expect(where).toEqual({ $or: [{ symbol: { $iLike: 'bit%' } }] })
+    })
+
+    it.each([
+      ['prefix', '100\\%\\_%'],
+      ['contains', '%100\\%\\_%'],
+      ['exact', '100\\%\\_']
+    ])('escapes LIKE wildcards in %s searches', async (mode, pattern) => {
+      const { where } = await findAllWith({ columns: ['symbol'], mode, searchTerm: '100%_' })
+
+      expect(where).toEqual({ $or: [{ symbol: { $iLike: pattern } }] })
+    })
+
+    it('escapes the LIKE escape character', async () => {
+      const { where } = await findAllWith({ columns: ['symbol'], searchTerm: 'a\\%' })
+
+      expect(where).toEqual({ $or: [{ symbol: { $iLike: 'a\\\\\\%%' } }] })
+    })
+
+    it('normalises the search term', async () => {
+      const { where } = await findAllWith({
+        columns: ['symbol'],
+        searchTerm: '  ｂｉｔ\u0000\n  coin '
+      })
+
+      expect(where).toEqual({ $or: [{ symbol: { $iLike: 'bit coin%' } }] })
+    })
+
+    it('strips accents and compares unaccented columns when unaccent is set', async () => {
+      const { where } = await findAllWith({
+        columns: ['name'],
+        searchTerm: 'Crème',
+        unaccent: true
+      })
+
+      expect(where).toEqual({
+        $or: [
+          {
+            left: { fn: 'unaccent', args: [{ col: 'display_name' }] },
+            comparator: { $iLike: 'Creme%' },
+            right: undefined
+          }
+        ]
+      })
+    })
+
+    it('passes wildcards through fulltext searches as plain text', async () => {
+      const { where } = await findAllWith({ columns: ['name'], mode: 'fulltext', searchTerm: '%' })
+
+      expect(where.$or[0].right).toEqual({ fn: 'plainto_tsquery', args: ['english', '%'] })
+    })
+
+    it.each([
+      ['', 'Validation error: Search term must not be empty'],
+      [' \t\n\u0000 ', 'Validation error: Search term must not be empty'],
+      [['bit'], 'Validation error: Search term must be a string'],
+      [{ $ne: null }, 'Validation error: Search term must be a string'],
+      ['x'.repeat(101), 'Validation error: Search term must be at most 100 characters']
+    ])('rejects the search term %j', async (searchTerm, message) => {
+      await expect(findAllWith({ columns: ['symbol'], searchTerm })).rejects.toThrowError(message)
+    })
+
+    it('matches fulltext searches against a tsquery in the configured language', async () => {
+      const { order: actualOrder, where } = await findAllWith({
+        columns: ['name'],
+        mode: 'FULLTEXT',
+        searchTerm: 'bit coin'
+      })
+
+      expect(where).toEqual({
+        $or: [
+          {
+            left: { fn: 'to_tsvector', args: ['english', { col: 'display_name' }] },
+            comparator: '@@',
+            right: { fn: 'plainto_tsquery', args: ['english', 'bit coin'] }
+          }
+        ]
+      })
+      expect(actualOrder).toEqual(order('market_cap', 'DESC'))
+    })
+
+    it('matches trigram searches with the similarity operator', async () => {
+      const { where } = await findAllWith({
+        columns: ['name'],
+        mode: 'trigram',
+        searchTerm: 'bitcon'
+      })
+
+      expect(where).toEqual({
+        $or: [{ left: { col: 'display_name' }, comparator: '%', right: 'bitcon' }]
+      })
+    })
+
+    it('orders by the best rank over all searched columns before the sort', async () => {
+      const { order: actualOrder } = await findAllWith({
+        columns: ['symbol', 'name'],
+        language: 'simple',
+        mode: 'fulltext',
+        orderByRank: true,
+        searchTerm: 'bitcoin'
+      })
+      const rank = column => ({
+        fn: 'ts_rank',
+        args: [
+          { fn: 'to_tsvector', args: ['simple', { col: column }] },
+          { fn: 'plainto_tsquery', args: ['simple', 'bitcoin'] }
+        ]
+      })
+
+      expect(actualOrder).toEqual([
+        [{ fn: 'GREATEST', args: [rank('symbol'), rank('display_name')] }, 'DESC NULLS LAST'],
+        ...order('market_cap', 'DESC')
+      ])
+    })
+
+    it('orders trigram searches by similarity', async () => {
+      const { order: actualOrder } = await findAllWith({
+        columns: ['name'],
+        mode: 'trigram',
+        orderByRank: true,
+        searchTerm: 'bitcon'
+      })
+
+      expect(actualOrder[0]).toEqual([
+        { fn: 'similarity', args: [{ col: 'display_name' }, 'bitcon'] },
+        'DESC NULLS LAST'
+      ])
+    })
+
+    it.each([
+      [{ mode: 'regex' }, {}, 'Validation error: Search mode must be one of'],
+      [{ mode: 5 }, {}, 'Validation error: Search mode must be one of'],
+      [
+        { mode: 'contains', orderByRank: true },
+        {},
+        'Validation error: Ordering by relevance requires'
+      ],
+      [
+        { mode: 'fulltext', orderByRank: true },
+        { keyset: true },
+        'Validation error: Ordering by relevance is not supported with keyset cursors'
+      ]
+    ])('rejects the search %j with options %j', async (search, options, message) => {
+      await expect(
+        findAllWith({ columns: ['symbol'], searchTerm: 'bit', ...search }, options)
+      ).rejects.toThrowError(message)
+    })
+
+    it.each(['prefix', 'fulltext'])(
+      'rejects %s searches on custom queries instead of dropping them',
+      async mode => {
+        const customQuery = { db: { query: jest.fn() }, queryString: 'SELECT * FROM assets_mv' }
+
+        const error = await createConnection(
+          {
+            direction: 'ASC',
+            first: 2,
+            search: { columns: ['name'], mode, searchTerm: 'bit' },
+            sort: 'name'
+          },
+          undefined,
+          assetsFieldMap,
+          customQuery
+        ).catch(err => err)
+
+        expect(error).toEqual(
+          new ValidationError('Search is not supported on custom queries', 'search')
+        )
+        expect(customQuery.db.query).not.toHaveBeenCalled()
+      }
+    )
+  })
+
+  describe('keyset mode', () => {
+    const rows = [
+      { slug: 'bitcoin', display_name: 'Bitcoin', market_cap: '100' },
+      { slug: 'ethereum', display_name: 'Ethereum', market_cap: '90' },
+      { slug: 'ripple', display_name: 'Ripple', market_cap: null }
+    ]
+    const keysetCursor = (
+      values,
+      sortOrder = order('market_cap', 'DESC', 'slug'),
+      where = {},
+      query
+    ) => encodeCursor({ k: values }, { order: sortOrder, query, where })
+
+    it('encodes the sort value and primary key of each edge in its cursor', async () => {
+      const mockModel = {
+        primaryKeyAttribute: 'slug',
+        count: jest.fn(() => Promise.resolve(3)),
+        findAll: jest.fn(() => Promise.resolve(rows))
+      }
+
+      const actual = await createConnection(
+        { direction: 'DESC', first: 2, sort: 'marketCapUsd' },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { keyset: true }
+      )
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 2 + 1,
+        offset: 0,
+        order: [
+          ['market_cap', 'DESC NULLS LAST'],
+          ['slug', 'DESC NULLS LAST']
+        ],
+        where: {}
+      })
+      expect(actual.edges.map(edge => edge.cursor)).toEqual([
+        keysetCursor(['100', 'bitcoin']),
+        keysetCursor(['90', 'ethereum'])
+      ])
+      expect(actual.pageInfo.endCursor).toEqual(keysetCursor(['90', 'ethereum']))
+      expect(actual.pageInfo.hasNextPage).toEqual(true)
+    })
+
+    it('seeks past the after cursor instead of using an offset', async () => {
+      const mockModel = {
+        primaryKeyAttribute: 'slug',
+        count: jest.fn(() => Promise.resolve(3)),
+        findAll: jest.fn(() => Promise.resolve(rows.slice(2))),
+        findOne: jest.fn(() => Promise.resolve(rows[1]))
+      }
+
+      await createConnection(
+        {
+          after: keysetCursor(['90', 'ethereum'], order('market_cap', 'DESC', 'slug'), {
+            rank: 1
+          }),
+          direction: 'DESC',
+          first: 2,
+          sort: 'marketCapUsd',
+          where: { rank: 1 }
+        },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { keyset: true }
+      )
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 2 + 1,
+        offset: 0,
+        order: [
+          ['market_cap', 'DESC NULLS LAST'],
+          ['slug', 'DESC NULLS LAST']
+        ],
+        where: {
+          $and: [
+            { rank: 1 },
+            {
+              $or: [
+                {
+                  $and: [{ $or: [{ market_cap: { $lt: '90' } }, { market_cap: null }] }]
+                },
+                {
+                  $and: [
+                    { market_cap: '90' },
+                    { $or: [{ slug: { $lt: 'ethereum' } }, { slug: null }] }
+                  ]
+                }
+              ]
+            }
+          ]
+        }
+      })
+    })
+
+    it('seeks before the before cursor with the mirrored order, including NULL sort values', async () => {
+      const mockModel = {
+        count: jest.fn(() => Promise.resolve(3)),
+        findAll: jest.fn(() => Promise.resolve(rows.slice(0, 2).reverse())),
+        findOne: jest.fn(() => Promise.resolve(null))
+      }
+
+      const actual = await createConnection(
+        {
+          before: keysetCursor([null, 'ripple']),
+          direction: 'DESC',
+          last: 2,
+          sort: 'marketCapUsd'
+        },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { keyset: true, tiebreaker: 'slug' }
+      )
+
+      expect(mockModel.findAll).toHaveBeenCalledWith({
+        limit: 2 + 1,
+        offset: 0,
+        order: [
+          ['market_cap', 'ASC NULLS FIRST'],
+          ['slug', 'ASC NULLS FIRST']
+        ],
+        where: {
+          $and: [
+            {},
+            {
+              $or: [
+                { $and: [{ market_cap: { $ne: null } }] },
+                { $and: [{ market_cap: null }, { slug: { $gt: 'ripple' } }] }
+              ]
+            }
+          ]
+        }
+      })
+      expect(actual.edges.map(edge => edge.node.id)).toEqual(['bitcoin', 'ethereum'])
+      expect(actual.pageInfo.hasNextPage).toEqual(false)
+      expect(await actual.totalCount()).toEqual(3)
+      expect(mockModel.count).toHaveBeenCalledWith({ where: {} })
+    })
+
+    it('probes for rows before the cursor to compute hasPreviousPage', async () => {
+      const mockModel = {
+        primaryKeyAttribute: 'slug',
+        count: jest.fn(() => Promise.resolve(3)),
+        findAll: jest.fn(() => Promise.resolve(rows.slice(2))),
+        findOne: jest.fn(() => Promise.resolve(rows[1]))
+      }
+
+      const actual = await createConnection(
+        {
+          after: keysetCursor(['90', 'ethereum']),
+          direction: 'DESC',
+          first: 2,
+          sort: 'marketCapUsd'
+        },
+        mockModel,
+        assetsFieldMap,
+        undefined,
+        { keyset: true }
+      )
+
+      expect(mockModel.findOne).toHaveBeenCalledWith({
+        attributes: ['slug'],
+        where: {
+          $and: [
+            {},
+            {
+              $or: [
+                {
+                  $or: [
+                    { $and: [{ market_cap: { $gt: '90' } }] },
+                    { $and: [{ market_cap: '90' }, { slug: { $gt: 'ethereum' } }] }
+                  ]
+                },
+                { $and: [{ market_cap: '90' }, { slug: 'ethereum' }] }
+              ]
+            }
+          ]
+        }
+      })
+      expect(actual.pageInfo).toEqual({
+        endCursor: keysetCursor([null, 'ripple']),
+        hasNextPage: false,
+        hasPreviousPage: true,
+        startCursor: keysetCursor([null, 'ripple'])
+      })
+    })
+
+    it('probes customQuery for rows before the cursor', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([]))
+        },
+        queryString: 'SELECT * FROM assets_mv',
+        replacements: []
+      }
+
+      await createConnection(
+        {
+          after: keysetCursor(
+            ['Bitcoin', 'bitcoin'],
+            order('display_name', 'ASC', 'slug'),
+            {},
+            queryContext(customQuery)
+          ),
+          direction: 'ASC',
+          first: 5,
+          sort: 'name'
+        },
+        undefined,
+        assetsFieldMap,
+        customQuery,
+        { keyset: true, tiebreaker: 'slug' }
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        'SELECT 1 FROM (SELECT * FROM assets_mv) AS connection WHERE ' +
+          '(("display_name" < ? OR ("display_name" = ? AND "slug" < ?)) OR ("display_name" = ? AND "slug" = ?)) LIMIT 1;',
+        { replacements: ['Bitcoin', 'Bitcoin', 'bitcoin', 'Bitcoin', 'bitcoin'] }
+      )
+    })
+
+    it('wraps customQuery.queryString and applies the seek predicate to it', async () => {
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([]))
+        },
+        queryString: 'SELECT * FROM asset_markets_mv WHERE base_slug = ?',
+        replacements: ['bitcoin']
+      }
+
+      await createConnection(
+        {
+          after: keysetCursor(
+            ['Bitcoin', 'binance'],
+            order('display_name', 'ASC', 'exchange_id'),
+            {},
+            queryContext(customQuery)
+          ),
+          direction: 'ASC',
+          first: 5,
+          sort: 'name'
+        },
+        undefined,
+        assetsFieldMap,
+        customQuery,
+        { keyset: true, tiebreaker: 'exchange_id' }
+      )
+
+      expect(customQuery.db.query).toHaveBeenCalledWith(
+        'SELECT * FROM (SELECT * FROM asset_markets_mv WHERE base_slug = ?) AS connection WHERE ' +
+          '(("display_name" > ? OR "display_name" IS NULL) OR ' +
+          '("display_name" = ? AND ("exchange_id" > ? OR "exchange_id" IS NULL))) ' +
+          'ORDER BY "display_name" ASC NULLS LAST, "exchange_id" ASC NULLS LAST LIMIT ?;',
+        { replacements: ['bitcoin', 'Bitcoin', 'Bitcoin', 'binance', 5 + 1] }
+      )
+    })
+
+    it('rejects sorts on timestamp columns, their microseconds do not fit in a cursor', async () => {
+      const mockModel = {
+        findAll: jest.fn(),
+        rawAttributes: { updated: { type: { key: 'DATE' } } }
+      }
+      const customQuery = {
+        db: {
+          query: jest.fn(() => Promise.resolve([{ slug: 'bitcoin', updated: new Date() }]))
+        },
+        queryString: 'SELECT * FROM assets_mv'
+      }
+      const args = { direction: 'DESC', first: 2, sort: 'updatedAt' }
+      const message =
+        'Validation error: Keyset cursors cannot sort by the timestamp column "updated"'
+
+      await expect(
+        createConnection(args, mockModel, assetsFieldMap, undefined, { keyset: true })
+      ).rejects.toThrowError(message)
+      expect(mockModel.findAll).not.toHaveBeenCalled()
+      await expect(
+        createConnection(args, undefined, assetsFieldMap, customQuery, { keyset: true })
+      ).rejects.toThrowError(message)
+    })
+
+    it('throws an error when the cursor is not a keyset cursor', async () => {
+      await expect(
+        createConnection(
+          {
+            after: offsetCursor(4, order('display_name', 'ASC')),
+            direction: 'ASC',
+            first: 5,
+            sort: 'name'
+          },
+          { findAll: jest.fn() },
+          assetsFieldMap,
+          undefined,
+          { keyset: true }
+        )
+      ).rejects.toThrowError('Validation error: Invalid cursor')
+    })
+  })
+})
+
+describe('createConnections', () => {
+  const marketsFieldMap = { id: 'id', name: 'display_name', exchangeId: 'exchange_id' }
+  const parents = { parentColumn: 'exchange_id', parentIds: ['binance', 'kraken', 'gdax'] }
+  const market = (exchange, position, count) => ({
+    id: `${exchange}-${position}`,
+    display_name: `Market ${position}`,
+    exchange_id: exchange,
+    connection_position: String(position),
+    connection_count: String(count)
+  })
+  const customQuery = rows => ({
+    db: { query: jest.fn(() => Promise.resolve(rows)) },
+    queryString: 'SELECT * FROM markets',
+    replacements: []
+  })
+  const scopedCursor = (position, exchange, sortOrder = order('display_name', 'ASC')) =>
+    offsetCursor(position, sortOrder, { exchange_id: exchange })
+
+  it('pages every parent with a single windowed query', async () => {
+    const query = customQuery([
+      market('binance', 1, 5),
+      market('binance', 2, 5),
+      market('binance', 3, 5),
+      market('kraken', 1, 1)
+    ])
+
+    const [binance, kraken, gdax] = await createConnections(
+      { direction: 'ASC', first: 2, sort: 'name' },
+      parents,
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query).toHaveBeenCalledTimes(1)
+    expect(query.db.query).toHaveBeenCalledWith(
+      'SELECT * FROM (SELECT *, ROW_NUMBER() OVER (PARTITION BY "exchange_id" ' +
+        'ORDER BY "display_name" ASC NULLS LAST, "id" ASC NULLS LAST) AS connection_position, ' +
+        'count(*) OVER (PARTITION BY "exchange_id") AS connection_count ' +
+        'FROM (SELECT * FROM markets) AS connection WHERE "exchange_id" IN (?)) AS connection ' +
+        'WHERE connection_position = 1 OR connection_position BETWEEN ? AND ? ' +
+        'ORDER BY "exchange_id", connection_position;',
+      { replacements: [['binance', 'kraken', 'gdax'], 1, 3] }
+    )
+    expect(binance.edges).toEqual([
+      {
+        cursor: scopedCursor(1, 'binance'),
+        node: { id: 'binance-1', name: 'Market 1', exchangeId: 'binance' }
+      },
+      {
+        cursor: scopedCursor(2, 'binance'),
+        node: { id: 'binance-2', name: 'Market 2', exchangeId: 'binance' }
+      }
+    ])
+    expect(binance.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false })
+    expect(await binance.totalCount()).toEqual(5)
+    expect(kraken.edges.map(edge => edge.node.id)).toEqual(['kraken-1'])
+    expect(kraken.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: false })
+    expect(await kraken.totalCount()).toEqual(1)
+    expect(gdax.edges).toEqual([])
+    expect(await gdax.totalCount()).toEqual(0)
+  })
+
+  it('issues cursors interchangeable with those of a scoped createConnection', async () => {
+    const query = customQuery([market('binance', 1, 5), market('binance', 4, 5)])
+
+    const [binance] = await createConnections(
+      { after: scopedCursor(3, 'binance'), direction: 'ASC', first: 2, sort: 'name' },
+      { parentColumn: 'exchange_id', parentIds: ['binance'] },
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query.mock.calls[0][1].replacements).toEqual([['binance'], 4, 6])
+    // the first row only carries the count
+    expect(binance.edges).toEqual([
+      {
+        cursor: scopedCursor(4, 'binance'),
+        node: { id: 'binance-4', name: 'Market 4', exchangeId: 'binance' }
+      }
+    ])
+    expect(binance.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true })
+  })
+
+  it('pages backward from the count of each parent', async () => {
+    const query = customQuery([
+      market('binance', 1, 5),
+      market('binance', 3, 5),
+      market('binance', 4, 5),
+      market('binance', 5, 5)
+    ])
+    const forwardOrder = order('display_name', 'ASC')
+
+    const [binance] = await createConnections(
+      { direction: 'ASC', last: 2, sort: 'name' },
+      { parentColumn: 'exchange_id', parentIds: ['binance'] },
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query.mock.calls[0][0]).toContain(
+      'ORDER BY "display_name" ASC NULLS LAST, "id" ASC NULLS LAST) AS connection_position'
+    )
+    expect(query.db.query.mock.calls[0][0]).toContain(
+      'connection_position BETWEEN connection_count - LEAST(?, GREATEST(connection_count - ?, 0)) ' +
+        'AND connection_count '
+    )
+    expect(query.db.query.mock.calls[0][1].replacements).toEqual([['binance'], 2, 0])
+    expect(binance.edges.map(edge => edge.node.id)).toEqual(['binance-4', 'binance-5'])
+    expect(binance.edges.map(edge => edge.cursor)).toEqual([
+      scopedCursor(4, 'binance', forwardOrder),
+      scopedCursor(5, 'binance', forwardOrder)
+    ])
+    expect(binance.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true })
+  })
+
+  it('binds the before cursor in the backward range', async () => {
+    const query = customQuery([])
+
+    await createConnections(
+      {
+        after: scopedCursor(1, 'binance'),
+        before: scopedCursor(4, 'binance'),
+        direction: 'ASC',
+        last: 2,
+        sort: 'name'
+      },
+      { parentColumn: 'exchange_id', parentIds: ['binance'] },
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query.mock.calls[0][0]).toContain(
+      'connection_position BETWEEN ? - LEAST(?, GREATEST(? - ?, 0)) AND ? '
+    )
+    expect(query.db.query.mock.calls[0][1].replacements).toEqual([['binance'], 3, 2, 3, 1, 3])
+  })
+
+  it('returns an error for parents a cursor was not issued for', async () => {
+    const query = customQuery([market('binance', 1, 5), market('binance', 2, 5)])
+
+    const [binance, kraken] = await createConnections(
+      { after: scopedCursor(1, 'binance'), direction: 'ASC', first: 1, sort: 'name' },
+      { parentColumn: 'exchange_id', parentIds: ['binance', 'kraken'] },
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query.mock.calls[0][1].replacements[0]).toEqual(['binance'])
+    expect(binance.edges.map(edge => edge.node.id)).toEqual(['binance-2'])
+    expect(kraken).toEqual(
+      new Error('Validation error: Cursor was issued for a different filter, restart pagination')
+    )
+  })
+
+  it('applies the filter inside the partitioned query', async () => {
+    const query = customQuery([])
+
+    await createConnections(
+      { direction: 'ASC', filter: { name: { ne: 'Market 1' } }, first: 2, sort: 'name' },
+      { parentColumn: 'exchange_id', parentIds: [1, 2] },
+      marketsFieldMap,
+      query
+    )
+
+    expect(query.db.query.mock.calls[0][0]).toContain(
+      'WHERE ("exchange_id" IN (?) AND "display_name" <> ?)'
+    )
+    expect(query.db.query.mock.calls[0][1].replacements).toEqual([[1, 2], 'Market 1', 1, 3])
+  })
+
+  it('rejects searches', async () => {
+    await expect(
+      createConnections(
+        {
+          direction: 'ASC',
+          first: 2,
+          search: { columns: ['name'], searchTerm: 'a' },
+          sort: 'name'
+        },
+        parents,
+        marketsFieldMap,
+        customQuery([])
+      )
+    ).rejects.toThrowError('Validation error: Search is not supported on batched connections')
+  })
+})
+
+describe('mapDbFieldsToGraphQlFields', () => {
+  it('correctly maps fields', () => {
+    const dbResults = [
+      {
+        exchange_id: 'gatecoin',
+        exchange_name: 'Gatecoin',
+        rank: 22,
+        trading_pairs: '6',
+        base_id: 'd3d46cd5-6ec4-42c3-824c-0fff743d361e',
+        base_symbol: 'ETH',
+        base_slug: 'ethereum',
+        quote_id: '353587d4-4376-4af7-99d1-cb2e212614d0',
+        quote_symbol: 'BTC',
+        quote_slug: 'bitcoin',
+        usd_volume_24: '58014.4186754630313773',
+        percent_usd_volume_24: '0.016370042249820922',
+        updated: '2018-05-31T16:24:16.165Z',
+        randomIgnoredField: 'blah blah blah'
+      },
+      {
+        exchange_id: 'yobit',
+        exchange_name: 'YoBit',
+        rank: 15,
+        trading_pairs: '6',
+        base_id: '10a9c92a-130e-4686-a800-612dd75ebacf',
+        base_symbol: 'DASH',
+        base_slug: 'dash',
+        quote_id: '353587d4-4376-4af7-99d1-cb2e212614d0',
+        quote_symbol: 'BTC',
+        quote_slug: 'bitcoin',
+        usd_volume_24: '251343.263219825688093',
+        percent_usd_volume_24: '0.070922021319100436',
+        updated: '2018-05-31T16:24:16.165Z',
+        randomIgnoredField: 'blah blah blah'
+      }
+    ]
+
+    const expected = [
+      {
+        id: 'gatecoin',
+        name: 'Gatecoin',
+        rank: 22,
+        tradingPairs: '6',
+        topPairBaseSymbol: 'ETH',
+        topPairBaseId: 'ethereum',
+        topPairQuoteSymbol: 'BTC',
+        topPairQuoteId: 'bitcoin',
+        volumeUsd24Hr: '58014.4186754630313773',
+        percentTotalVolume: '0.016370042249820922',
+        updatedAt: '2018-05-31T16:24:16.165Z'
+      },
+      {
+        id: 'yobit',
+        name: 'YoBit',
+        rank: 15,
+        tradingPairs: '6',
+        topPairBaseSymbol: 'DASH',
+        topPairBaseId: 'dash',
+        topPairQuoteSymbol: 'BTC',
+        topPairQuoteId: 'bitcoin',
+        volumeUsd24Hr: '251343.263219825688093',
+        percentTotalVolume: '0.070922021319100436',
+        updatedAt: '2018-05-31T16:24:16.165Z'
+      }
+    ]
+
+    const actual = mapDbFieldsToGraphQlFields(dbResults, exchangesFieldMap)
+
+    expect(actual).toEqual(expected)
+  })
+})
+
+describe('serializeRow', () => {
+  const updated = new Date('2019-01-25T22:43:29.993Z')
+
+  it('maps and serializes a row without modifying it', () => {
+    const row = { display_name: 'Bitcoin', market_cap: '100.5', slug: 'bitcoin', updated }
+
+    const actual = serializeRow(row, assetsFieldMap, { marketCapUsd: serializers.number })
+
+    expect(actual).toEqual({
+      id: 'bitcoin',
+      marketCapUsd: 100.5,
+      name: 'Bitcoin',
+      rank: undefined,
+      symbol: undefined,
+      updatedAt: 1548456209993
+    })
+    expect(row.updated).toBe(updated)
+  })
+
+  it('copies sequelize instances without a fieldMap', () => {
+    const instance = { get: jest.fn(() => ({ name: 'Bitcoin', updatedAt: updated })) }
+
+    expect(serializeRow(instance)).toEqual({ name: 'Bitcoin', updatedAt: 1548456209993 })
+    expect(instance.get).toHaveBeenCalledWith({ plain: true })
+  })
+})
+
+describe('handleError', () => {
+  let error
+  let wrapperFunc
+
+  it('rethrows validation errors', () => {
+    error = new ValidationError('Arguments after and before must not be together')
+    wrapperFunc = () => handleError(error)
+
+    expect(wrapperFunc).toThrowError(error)
+  })
+
+  it('throws a generic error for all other errors', () => {
+    error = new Error('SQL Error: assets_mv does not exist')
+    wrapperFunc = () => handleError(error)
+
+    expect(wrapperFunc).toThrowError(
+      'An unexpected error has occurred. Please try back again later.'
+    )
+  })
+
+  it('rethrows errors safe to expose with their code', () => {
+    error = new NotFoundError('Delete failed, the record was not found')
+
+    expect(() => handleError(error)).toThrowError(error)
+  })
+
+  it('does not expose plain errors because of a validation error message', () => {
+    error = new Error('Validation error: Invalid cursor')
+
+    expect(() => handleError(error)).toThrow(InternalError)
+  })
+
+  it('wraps other errors in an InternalError keeping them as cause', () => {
+    error = new Error('SQL Error: assets_mv does not exist')
+
+    try {
+      handleError(error)
+    } catch (internalError) {
+      expect(internalError).toBeInstanceOf(InternalError)
+      expect(internalError.cause).toBe(error)
+      expect(internalError.extensions).toEqual({ code: 'INTERNAL_SERVER_ERROR' })
+    }
+    expect.assertions(3)
+  })
+})
+
+describe('deleteAndReturn', () => {
+  let destroy
+  let findOne
+  let model
+  let where
+
+  beforeEach(() => {
+    destroy = jest.fn(() => 1)
+    findOne = jest.fn(() => ({
+      id: 'this is a guid',
+      name: 'lambo',
+      user_id: 'this is a user id',
+      created: '2019-01-25T22:43:29.993Z',
+      updated: '2019-01-25T22:43:29.993Z',
+      deleted: ''
+    }))
+    model = {
+      destroy,
+      findOne
+    }
+    where = {
+      asset_id: 'bitcoin',
+      portfolio_id: 'this-is-a-uuid'
+    }
+  })
+
+  it('calls model.findOne', async () => {
+    await deleteAndReturn(model, where)
+    expect(findOne).toHaveBeenCalledWith({ where })
+  })
+
+  it('calls model.destroy', async () => {
+    await deleteAndReturn(model, where)
+    expect(destroy).toHaveBeenCalledWith({ where })
   })
 
   it('returns the deleted object', async () => {
@@ -810,10 +2760,13 @@ describe('deleteAndReturn', () => {
     })
   })
 
-  it('throws an exception when destroy fails', async () => {
+  it('throws a not found error when destroy fails', async () => {
     model.destroy = jest.fn(() => 0)
     await expect(deleteAndReturn(model, where)).rejects.toThrowError(
-      'Validation Error: Delete failed!'
+      new NotFoundError('Delete failed, the record was not found')
     )
+    await expect(deleteAndReturn(model, where)).rejects.toMatchObject({
+      extensions: { code: 'NOT_FOUND' }
+    })
   })
 })
@@ -0,0 +1,140 @@
+const DataLoader = require('dataloader')
+const { fromGlobalId, toGlobalId } = require('graphql-relay')
+const { ValidationError } = require('./errors')
+const { getNodeIdColumn } = require('./fieldMap')
+const { instrumentQuery } = require('./instrumentation')
+const { handleError, serializeRow } = require('./lib')
+
+/**
+ * Creates a registry of the types implementing the Node interface of schema.graphql, for the resolvers of
+ *   node(id: ID!): Node
+ *   nodes(ids: [ID!]!): [Node]!
+ * A global ID is the relay encoding of the type name and the row's id column, the column the fieldMap maps id
+ * to or else the model's primary key. Connections expose the same global IDs with options.nodeType, see
+ * createConnection. IDs of unregistered types or missing rows resolve to null.
+ * @returns {object} node registry
+ */
+const createNodeRegistry = () => {
+  const types = new Map()
+  // the objects requested within the same tick are fetched with one query per type, per request context
+  const loaders = new WeakMap()
+
+  const registry = {
+    /**
+     * @param {string} typeName - graphQL type implementing Node, e.g. 'Asset'
+     * @param {object} definition - node definition
+     *      @param {object} definition.model - sequelize model of the type
+     *      @param {object} definition.fieldMap - mapping of graphQL field names to their respective DB column names
+     *      @param {object} [definition.serializers] - serializer per graphQL field name, see serializers.js
+     * @returns {object} the registry
+     */
+    register: (typeName, { model, fieldMap, serializers }) => {
+      if (types.has(typeName)) {
+        throw new Error(`Node type "${typeName}" is already registered`)
+      } else if (!model || !fieldMap) {
+        throw new Error(`Node type "${typeName}" requires a model and a fieldMap`)
+      }
+      types.set(typeName, {
+        column: getNodeIdColumn(fieldMap, model),
+        fieldMap,
+        model,
+        serializers
+      })
+      return registry
+    },
+
+    /**
+     * @param {string} typeName - registered type name
+     * @param {*} id - value of the id column of the object
+     * @returns {string} global ID of the object
+     */
+    toGlobalId: (typeName, id) => {
+      if (!types.has(typeName)) {
+        throw new Error(`Node type "${typeName}" is not registered`)
+      }
+      return toGlobalId(typeName, id)
+    },
+
+    resolveNode: async (parent, { id }, ctx) => {
+      try {
+        return await getLoader(ctx).load(id)
+      } catch (error) {
+        return handleError(error)
+      }
+    },
+
+    resolveNodes: async (parent, { ids }, ctx) => {
+      try {
+        return await getLoader(ctx).loadMany(ids).then(throwFirstError)
+      } catch (error) {
+        return handleError(error)
+      }
+    }
+  }
+
+  const getLoader = (ctx = {}) => {
+    if (!loaders.has(ctx)) {
+      loaders.set(ctx, new DataLoader(loadNodes))
+    }
+    return loaders.get(ctx)
+  }
+
+  const loadNodes = globalIds => {
+    const nodes = globalIds.map(() => null)
+    const idsByType = new Map()
+    globalIds.forEach((globalId, index) => {
+      const { type, id } = fromGlobalId(String(globalId))
+      if (!type || !id) {
+        nodes[index] = new ValidationError(`Invalid ID "${globalId}"`)
+      } else if (types.has(type)) {
+        idsByType.set(type, (idsByType.get(type) || []).concat({ id, index }))
+      }
+    })
+
+    return Promise.all(
+      Array.from(idsByType).map(([typeName, entries]) => {
+        const type = types.get(typeName)
+        const { column, model } = type
+        const ids = Array.from(new Set(entries.map(entry => entry.id)))
+        const query = { where: { [column]: { $in: ids } } }
+        return instrumentQuery('nodes', { model: typeName, ...query }, () => model.findAll(query))
+          .then(rows => {
+            // keyed by string, global IDs do not retain the type of the id column
+            const rowsById = new Map(rows.map(row => [String(row[column]), row]))
+            entries.forEach(({ id, index }) => {
+              const row = rowsById.get(id)
+              nodes[index] = row ? toNode(typeName, row, type) : null
+            })
+          })
+          .catch(error => {
+            entries.forEach(({ index }) => {
+              nodes[index] = error
+            })
+          })
+      })
+    ).then(() => nodes)
+  }
+
+  return registry
+}
+
+/**
+ * @returns {object} graphQL object of the row, its __typename resolves the Node interface
+ */
+const toNode = (typeName, row, { column, fieldMap, serializers }) => ({
+  ...serializeRow(row, fieldMap, serializers),
+  __typename: typeName,
+  id: toGlobalId(typeName, row[column])
+})
+
+const throwFirstError = nodes => {
+  const error = nodes.find(node => node instanceof Error)
+  if (error) {
+    throw error
+  }
+  return nodes
+}
+
+module.exports = {
+  createNodeRegistry
+}
@@ -0,0 +1,141 @@
+const { toGlobalId } = require('graphql-relay')
+const config = require('./config')
+const { createConnection } = require('./lib')
+const { createNodeRegistry } = require('./node')
+const { dbData, normalizedData } = require('../__mocks__/sampleAssetsData.js')
+const assetsFieldMap = require('./schema/Asset/resolvers').fieldMap
+
+describe('createNodeRegistry', () => {
+  const exchangeFieldMap = { id: 'id', name: 'name' }
+  const setup = () => {
+    const assets = {
+      findAll: jest.fn(({ where }) =>
+        Promise.resolve(dbData.filter(row => where.slug.$in.includes(row.slug)))
+      )
+    }
+    const exchanges = {
+      primaryKeyAttribute: 'id',
+      findAll: jest.fn(() => Promise.resolve([{ id: 7, name: 'Binance' }]))
+    }
+    const registry = createNodeRegistry()
+      .register('Asset', { model: assets, fieldMap: assetsFieldMap })
+      .register('Exchange', { model: exchanges, fieldMap: exchangeFieldMap })
+    return { assets, exchanges, registry }
+  }
+
+  it('resolves a node by its global ID', async () => {
+    const { registry } = setup()
+
+    const node = await registry.resolveNode(undefined, { id: toGlobalId('Asset', 'ethereum') }, {})
+
+    expect(node).toEqual({
+      ...normalizedData[1],
+      __typename: 'Asset',
+      id: toGlobalId('Asset', 'ethereum')
+    })
+  })
+
+  it('batches the nodes of a type into one query', async () => {
+    const { assets, exchanges, registry } = setup()
+    const ctx = {}
+
+    const [bitcoin, nodes] = await Promise.all([
+      registry.resolveNode(undefined, { id: registry.toGlobalId('Asset', 'bitcoin') }, ctx),
+      registry.resolveNodes(
+        undefined,
+        {
+          ids: [
+            registry.toGlobalId('Exchange', 7),
+            registry.toGlobalId('Asset', 'eos'),
+            registry.toGlobalId('Asset', 'unknown')
+          ]
+        },
+        ctx
+      )
+    ])
+
+    expect(bitcoin.name).toEqual('Bitcoin')
+    expect(nodes).toEqual([
+      { __typename: 'Exchange', id: toGlobalId('Exchange', 7), name: 'Binance' },
+      { ...normalizedData[4], __typename: 'Asset', id: toGlobalId('Asset', 'eos') },
+      null
+    ])
+    expect(assets.findAll).toHaveBeenCalledTimes(1)
+    expect(assets.findAll).toHaveBeenCalledWith({
+      where: { slug: { $in: ['bitcoin', 'eos', 'unknown'] } }
+    })
+    expect(exchanges.findAll).toHaveBeenCalledWith({ where: { id: { $in: ['7'] } } })
+  })
+
+  it('resolves IDs of unregistered types to null', async () => {
+    const { registry } = setup()
+
+    expect(await registry.resolveNode(undefined, { id: toGlobalId('User', '1') }, {})).toEqual(null)
+  })
+
+  it('rejects invalid IDs', async () => {
+    const { registry } = setup()
+
+    await expect(registry.resolveNode(undefined, { id: 'bitcoin' }, {})).rejects.toThrow(
+      'Validation error: Invalid ID "bitcoin"'
+    )
+    await expect(registry.resolveNodes(undefined, { ids: ['', 'x'] }, {})).rejects.toThrow(
+      'Validation error: Invalid ID ""'
+    )
+  })
+
+  it('masks database errors', async () => {
+    const { assets, registry } = setup()
+    assets.findAll.mockImplementation(() => Promise.reject(new Error('connection refused')))
+
+    await expect(
+      registry.resolveNode(undefined, { id: toGlobalId('Asset', 'bitcoin') }, {})
+    ).rejects.toThrow('An unexpected error has occurred. Please try back again later.')
+  })
+
+  it('resolves the global IDs of connection edges, also with config.tiebreaker set', async () => {
+    const row = { id: 7, name: 'Binance', uuid: 'b1' }
+    const exchanges = {
+      count: jest.fn(() => Promise.resolve(1)),
+      findAll: jest.fn(() => Promise.resolve([row])),
+      primaryKeyAttribute: 'id'
+    }
+    const fieldMap = { name: 'name' }
+    const registry = createNodeRegistry().register('Exchange', { model: exchanges, fieldMap })
+    config.cursorSecret = 'test secret'
+    config.tiebreaker = 'uuid'
+
+    try {
+      const connection = await createConnection(
+        { direction: 'ASC', first: 1, sort: 'name' },
+        exchanges,
+        fieldMap,
+        undefined,
+        { nodeType: 'Exchange' }
+      )
+      const { id } = connection.edges[0].node
+
+      expect(id).toEqual(toGlobalId('Exchange', 7))
+      expect(await registry.resolveNode(undefined, { id }, {})).toEqual({
+        __typename: 'Exchange',
+        id,
+        name: 'Binance'
+      })
+      expect(exchanges.findAll).toHaveBeenLastCalledWith({ where: { id: { $in: ['7'] } } })
+    } finally {
+      config.tiebreaker = null
+    }
+  })
+
+  it('validates registrations', () => {
+    const { registry } = setup()
+
+    expect(() => registry.register('Asset', { model: {}, fieldMap: {} })).toThrow(
+      'Node type "Asset" is already registered'
+    )
+    expect(() => registry.register('Market', { fieldMap: {} })).toThrow(
+      'Node type "Market" requires a model and a fieldMap'
+    )
+    expect(() => registry.toGlobalId('Market', 1)).toThrow('Node type "Market" is not registered')
+  })
+})
@@ -0,0 +1,128 @@
+const crypto = require('crypto')
+const { defaultFieldResolver, getDirectiveValues, isObjectType } = require('graphql')
+const { RateLimitError } = require('./errors')
+const { getUserId } = require('./lib')
+
+const WINDOW_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }
+const SWEEP_INTERVAL = 1000
+
+/**
+ * @param {string} window - duration, e.g. '500ms', '30s', '1m', '1h' or '1d'
+ * @returns {number} duration in milliseconds
+ */
+const parseWindow = window => {
+  const match = /^(\d+)\s*(ms|s|m|h|d)$/.exec(String(window).trim())
+  if (!match || !Number(match[1])) {
+    throw new Error(`Invalid @rateLimit window "${window}", use e.g. '30s', '1m' or '1h'`)
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2]]
+}
+
+/**
+ * In-memory sliding window log, for a single process. A store implements
+ *   hit(key, windowMs, max) => Promise of the number of calls for the key within the last windowMs, this one
+ *   included, counting up to max + 1
+ * so a shared backend, e.g. Redis sorted sets, can be plugged into applyRateLimits instead. Since rejected calls
+ * count too, only the latest max + 1 calls of a key are kept, whatever the rate of its caller.
+ * @param {function} [now] - clock, returns milliseconds
+ * @returns {object} rate limit store
+ */
+const createMemoryStore = (now = Date.now) => {
+  // key => { timestamps, windowMs }
+  const calls = new Map()
+  let hits = 0
+
+  return {
+    hit: (key, windowMs, max = Infinity) => {
+      const time = now()
+      // now and then drops the keys without calls in their window, e.g. of callers that went away
+      if (++hits % SWEEP_INTERVAL === 0) {
+        calls.forEach((entry, otherKey) => {
+          if (entry.timestamps[entry.timestamps.length - 1] <= time - entry.windowMs) {
+            calls.delete(otherKey)
+          }
+        })
+      }
+      const entry = calls.get(key) || { timestamps: [] }
+      const timestamps = entry.timestamps
+        .filter(timestamp => timestamp > time - windowMs)
+        .concat(time)
+        .slice(-(max + 1))
+      calls.set(key, { timestamps, windowMs })
+      return Promise.resolve(timestamps.length)
+    }
+  }
+}
+
+/**
+ * Applies the @rateLimit directive of schema.graphql to the resolvers of the annotated fields:
+ *   directive @rateLimit(max: Int, window: String, message: String, identityArgs: [String]) on FIELD_DEFINITION
+ * Callers are identified by the hash of getUserId(ctx), and the values of the field's identityArgs, e.g.
+ * the asset a price is requested for. A caller exceeding max calls within the sliding window gets the directive's message.
+ * @param {object} schema - executable graphQL schema, its field resolvers are wrapped in place
+ * @param {object} [options]
+ *      @param {object} [options.store] - rate limit store, see createMemoryStore, defaults to an in-memory store
+ *      @param {function} [options.getIdentity] - ctx => caller identity, defaults to getUserId, anonymous callers
+ *          share a limit
+ * @returns {object} the schema
+ */
+const applyRateLimits = (schema, { store = createMemoryStore(), getIdentity = getUserId } = {}) => {
+  const directive = schema.getDirective('rateLimit')
+  if (!directive) {
+    return schema
+  }
+
+  Object.values(schema.getTypeMap())
+    .filter(type => isObjectType(type) && !type.name.startsWith('__'))
+    .forEach(type =>
+      Object.values(type.getFields()).forEach(field => {
+        const limit = field.astNode && getDirectiveValues(directive, field.astNode)
+        if (limit) {
+          field.resolve = rateLimitResolver(`${type.name}.${field.name}`, field.resolve, limit, {
+            getIdentity,
+            store
+          })
+        }
+      })
+    )
+  return schema
+}
+
+const rateLimitResolver = (
+  fieldName,
+  resolve = defaultFieldResolver,
+  { identityArgs = [], max, message, window },
+  { getIdentity, store }
+) => {
+  if (!Number.isInteger(max) || max < 1) {
+    throw new Error(`Invalid @rateLimit max on ${fieldName}, it must be a positive integer`)
+  }
+  const windowMs = parseWindow(window)
+
+  return async (parent, args, ctx, info) => {
+    const identity = [fieldName, hashIdentity(getIdentity(ctx))]
+      .concat(
+        identityArgs.map(name => JSON.stringify(args[name] === undefined ? null : args[name]))
+      )
+      .join(':')
+    const calls = await store.hit(identity, windowMs, max)
+    if (calls > max) {
+      throw new RateLimitError(message || `You are trying to access '${fieldName}' too often`)
+    }
+    return resolve(parent, args, ctx, info)
+  }
+}
+
+/**
+ * Identities such as the bearer token of getUserId are credentials, stores only get their hash since shared
+ * backends persist their keys
+ * @param {string} [identity] - caller identity
+ * @returns {string} SHA-256 of the identity, 'anonymous' without one
+ */
+const hashIdentity = identity =>
+  identity ? crypto.createHash('sha256').update(String(identity)).digest('hex') : 'anonymous'
+
+module.exports = {
+  applyRateLimits,
+  createMemoryStore
+}
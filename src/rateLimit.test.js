@@ -0,0 +1,143 @@
+const crypto = require('crypto')
+const { buildSchema, graphql } = require('graphql')
+const { applyRateLimits, createMemoryStore } = require('./rateLimit')
+
+describe('applyRateLimits', () => {
+  const typeDefs = `
+    directive @rateLimit(max: Int, window: String, message: String, identityArgs: [String]) on FIELD_DEFINITION
+
+    type Query {
+      price(symbol: String): Float @rateLimit(max: 2, window: "1m", identityArgs: ["symbol"])
+      status: String @rateLimit(max: 1, window: "10s", message: "Slow down")
+      version: String
+    }
+  `
+  const rootValue = { price: () => 1.5, status: 'ok', version: '1' }
+  const request = token => ({ request: { get: () => token } })
+
+  let time
+  let schema
+  beforeEach(() => {
+    time = 0
+    schema = applyRateLimits(buildSchema(typeDefs), { store: createMemoryStore(() => time) })
+  })
+  const run = (source, contextValue = request('user-1')) =>
+    graphql({ contextValue, rootValue, schema, source })
+
+  it('throws the directive message once the limit is exceeded', async () => {
+    expect(await run('{ status }')).toEqual({ data: { status: 'ok' } })
+    const result = await run('{ status }')
+    expect(result.errors.map(error => error.message)).toEqual(['Slow down'])
+  })
+
+  it('throws a default message', async () => {
+    await run('{ price(symbol: "BTC") }')
+    await run('{ price(symbol: "BTC") }')
+    const result = await run('{ price(symbol: "BTC") }')
+    expect(result.errors.map(error => error.message)).toEqual([
+      "You are trying to access 'Query.price' too often"
+    ])
+  })
+
+  it('counts calls in a sliding window', async () => {
+    await run('{ status }')
+    time = 10001
+    expect(await run('{ status }')).toEqual({ data: { status: 'ok' } })
+    time = 15000
+    expect((await run('{ status }')).errors).toHaveLength(1)
+    // rejected calls count too
+    time = 22000
+    expect((await run('{ status }')).errors).toHaveLength(1)
+    time = 32001
+    expect(await run('{ status }')).toEqual({ data: { status: 'ok' } })
+  })
+
+  it('limits each caller and identity argument separately', async () => {
+    await run('{ price(symbol: "BTC") }')
+    await run('{ price(symbol: "BTC") }')
+    expect(await run('{ price(symbol: "ETH") }')).toEqual({ data: { price: 1.5 } })
+    expect(await run('{ price(symbol: "BTC") }', request('user-2'))).toEqual({
+      data: { price: 1.5 }
+    })
+  })
+
+  it('shares a limit between anonymous callers', async () => {
+    await run('{ status }', {})
+    expect((await run('{ status }', request(''))).errors).toHaveLength(1)
+  })
+
+  it('leaves fields without the directive alone', async () => {
+    await run('{ version }')
+    expect(await run('{ version }')).toEqual({ data: { version: '1' } })
+  })
+
+  it('uses a custom identity and store', async () => {
+    const hit = jest.fn(() => Promise.resolve(3))
+    const limited = applyRateLimits(buildSchema(typeDefs), {
+      getIdentity: ctx => ctx.ip,
+      store: { hit }
+    })
+    const result = await graphql({
+      contextValue: { ip: '10.0.0.1' },
+      rootValue,
+      schema: limited,
+      source: '{ price(symbol: "BTC") }'
+    })
+    expect(result.errors).toHaveLength(1)
+    const hash = crypto.createHash('sha256').update('10.0.0.1').digest('hex')
+    expect(hit).toHaveBeenCalledWith(`Query.price:${hash}:"BTC"`, 60000, 2)
+  })
+
+  it('keeps bearer tokens out of the store keys', async () => {
+    const hit = jest.fn(() => Promise.resolve(1))
+    schema = applyRateLimits(buildSchema(typeDefs), { store: { hit } })
+
+    await run('{ status }', request('Bearer secret-token'))
+    await run('{ status }', { request: { get: () => undefined } })
+
+    expect(hit.mock.calls.map(([key]) => key)).toEqual([
+      `Query.status:${crypto.createHash('sha256').update('secret-token').digest('hex')}`,
+      'Query.status:anonymous'
+    ])
+  })
+
+  it('rejects invalid directives', () => {
+    const invalid = (args, message) =>
+      expect(() =>
+        applyRateLimits(
+          buildSchema(`
+            directive @rateLimit(max: Int, window: String, message: String, identityArgs: [String]) on FIELD_DEFINITION
+            type Query { status: String @rateLimit(${args}) }
+          `)
+        )
+      ).toThrow(message)
+    invalid('max: 0, window: "1m"', 'Invalid @rateLimit max on Query.status')
+    invalid('max: 1, window: "a minute"', 'Invalid @rateLimit window "a minute"')
+    invalid('max: 1', 'Invalid @rateLimit window "undefined"')
+  })
+})
+
+describe('createMemoryStore', () => {
+  it('drops the calls outside of the window', async () => {
+    let time = 0
+    const store = createMemoryStore(() => time)
+    expect(await store.hit('a', 100)).toEqual(1)
+    time = 50
+    expect(await store.hit('a', 100)).toEqual(2)
+    time = 120
+    expect(await store.hit('a', 100)).toEqual(2)
+    expect(await store.hit('b', 100)).toEqual(1)
+  })
+
+  it('keeps at most max + 1 calls per key, however often it is hit', async () => {
+    let time = 0
+    const store = createMemoryStore(() => time)
+    for (let hit = 0; hit < 10000; hit++) {
+      await store.hit('a', 60000, 2)
+    }
+    // the count is the length of the stored log
+    expect(await store.hit('a', 60000, 2)).toEqual(3)
+    time = 60000
+    expect(await store.hit('a', 60000, 2)).toEqual(1)
+  })
+})
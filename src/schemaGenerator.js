@@ -0,0 +1,104 @@
+const { getFieldNames } = require('./fieldMap')
+
+/**
+ * Generates the SDL of an entity's connection types from its fieldMap, so the schema always matches what
+ * createConnection accepts. Builds on the generic types of schema.graphql (Connection, Edge, PageInfo,
+ * SortDirection, SortNulls, SearchMode and the scalar filter inputs).
+ */
+const FILTER_INPUTS = {
+  Float: 'FloatFilter',
+  ID: 'StringFilter',
+  Int: 'IntFilter',
+  String: 'StringFilter'
+}
+
+const NAME = /^[_A-Za-z][_0-9A-Za-z]*$/
+const RESERVED_ENUM_VALUES = ['true', 'false', 'null']
+
+/**
+ * @param {string} typeName - name of the node type, e.g. 'Asset'
+ * @param {object} fieldMap - mapping of graphQL field names to their respective DB column names, see fieldMap.js
+ * @param {object} [options]
+ *      @param {object} [options.fieldTypes] - graphQL scalar of each field for its filter input, e.g. { rank: 'Int' },
+ *          fields default to String
+ * @returns {string} SDL of XEdge, XConnection, the XSort enum of the sortable fields, XSortInput and XFilter
+ */
+const generateConnectionSchema = (typeName, fieldMap, { fieldTypes = {} } = {}) => {
+  const fields = Object.keys(fieldMap)
+  if (!NAME.test(typeName)) {
+    throw new Error(`Invalid type name "${typeName}"`)
+  } else if (!fields.length) {
+    throw new Error(`The fieldMap of ${typeName} has no fields`)
+  }
+  fields.forEach(field => {
+    if (!NAME.test(field) || RESERVED_ENUM_VALUES.includes(field)) {
+      throw new Error(`Field "${field}" of ${typeName} is not a valid graphQL name`)
+    }
+  })
+  const sortFields = getFieldNames(fieldMap, 'sortable')
+  if (!sortFields.length) {
+    throw new Error(`The fieldMap of ${typeName} has no sortable fields`)
+  }
+  const filterFields = getFieldNames(fieldMap, 'filterable').map(field => {
+    const type = fieldTypes[field] || 'String'
+    if (!FILTER_INPUTS[type]) {
+      throw new Error(`No filter input for ${type} fields, used by "${field}" of ${typeName}`)
+    }
+    return `  ${field}: ${FILTER_INPUTS[type]}`
+  })
+
+  return `"An edge in a connection of ${typeName} nodes"
+type ${typeName}Edge implements Edge {
+  "An opaque pointer to the object"
+  cursor: String!
+  node: ${typeName}
+}
+
+"A connection of ${typeName} nodes"
+type ${typeName}Connection implements Connection {
+  "A list of connection edges"
+  edges: [${typeName}Edge]
+  "Information to aid in pagination"
+  pageInfo: PageInfo!
+  "Total number of items matching the query, null when counting is disabled"
+  totalCount: Int
+  "Number of edges in this page"
+  pageCount: Int!
+}
+
+"Fields ${typeName} connections can be sorted by"
+enum ${typeName}Sort {
+${sortFields.map(field => `  ${field}`).join('\n')}
+}
+
+"One column of a multi-column sort of ${typeName} connections"
+input ${typeName}SortInput {
+  field: ${typeName}Sort!
+  "Defaults to the connection's direction argument"
+  direction: SortDirection
+  "Defaults to LAST"
+  nulls: SortNulls
+}
+
+"Filter of ${typeName} connections, all supplied conditions must match"
+input ${typeName}Filter {
+  AND: [${typeName}Filter!]
+  OR: [${typeName}Filter!]
+  NOT: ${typeName}Filter
+${filterFields.join('\n')}
+}
+`
+}
+
+/**
+ * @param {string} typeName - name of the node type, e.g. 'Asset'
+ * @returns {string} SDL arguments of a connection field, e.g. `assets${getConnectionArgs('Asset')}: AssetConnection`
+ */
+const getConnectionArgs = typeName =>
+  `(first: Int, after: String, last: Int, before: String, sort: [${typeName}SortInput!], ` +
+  `direction: SortDirection, search: String, searchMode: SearchMode, filter: ${typeName}Filter)`
+
+module.exports = {
+  generateConnectionSchema,
+  getConnectionArgs
+}
@@ -0,0 +1,143 @@
+const fs = require('fs')
+const path = require('path')
+const { buildSchema, graphql, validateSchema } = require('graphql')
+const { generateConnectionSchema, getConnectionArgs } = require('./schemaGenerator')
+const assetsFieldMap = require('./schema/Asset/resolvers').fieldMap
+
+const baseSchema = fs.readFileSync(path.join(__dirname, 'schema.graphql'), 'utf8')
+
+describe('generateConnectionSchema', () => {
+  const fieldTypes = { marketCapUsd: 'Float', rank: 'Int', id: 'ID' }
+  const buildAssetSchema = () =>
+    buildSchema(`${baseSchema}
+${generateConnectionSchema('Asset', assetsFieldMap, { fieldTypes })}
+type Asset implements Node {
+  id: ID!
+  name: String
+}
+
+type Query {
+  assets${getConnectionArgs('Asset')}: AssetConnection
+}
+`)
+
+  it('generates valid types that implement the generic connection interfaces', () => {
+    const schema = buildAssetSchema()
+
+    expect(validateSchema(schema)).toEqual([])
+    expect(schema.getType('AssetConnection').getInterfaces().map(String)).toEqual(['Connection'])
+    expect(schema.getType('AssetEdge').getInterfaces().map(String)).toEqual(['Edge'])
+    expect(String(schema.getType('AssetEdge').getFields().node.type)).toEqual('Asset')
+  })
+
+  it('keeps hand-written connections without the count fields valid', () => {
+    const schema = buildSchema(`${baseSchema}
+type Exchange implements Node {
+  id: ID!
+}
+
+type ExchangeEdge implements Edge {
+  cursor: String!
+  node: Exchange
+}
+
+type ExchangeConnection implements Connection {
+  edges: [ExchangeEdge]
+  pageInfo: PageInfo!
+}
+
+type Query {
+  exchanges: ExchangeConnection
+}
+`)
+
+    expect(validateSchema(schema)).toEqual([])
+  })
+
+  it('generates a sort enum of the fieldMap keys', () => {
+    const values = buildAssetSchema().getType('AssetSort').getValues()
+
+    expect(values.map(value => value.value)).toEqual(Object.keys(assetsFieldMap))
+  })
+
+  it('only lists sortable fields in the sort enum and filterable fields in the filter', () => {
+    const marketsFieldMap = {
+      id: 'id',
+      baseSymbol: 'base.symbol',
+      volumeUsd: { column: 'volume_usd', filterable: false },
+      label: row => row.id
+    }
+    const schema = buildSchema(`${baseSchema}
+${generateConnectionSchema('Market', marketsFieldMap)}
+type Market implements Node {
+  id: ID!
+}
+
+type Query {
+  markets${getConnectionArgs('Market')}: MarketConnection
+}
+`)
+
+    expect(
+      schema
+        .getType('MarketSort')
+        .getValues()
+        .map(value => value.value)
+    ).toEqual(['id', 'volumeUsd'])
+    expect(Object.keys(schema.getType('MarketFilter').getFields())).toEqual([
+      'AND',
+      'OR',
+      'NOT',
+      'id'
+    ])
+  })
+
+  it('generates a filter input with a filter of the field type per field', () => {
+    const fields = buildAssetSchema().getType('AssetFilter').getFields()
+
+    expect(String(fields.marketCapUsd.type)).toEqual('FloatFilter')
+    expect(String(fields.rank.type)).toEqual('IntFilter')
+    expect(String(fields.id.type)).toEqual('StringFilter')
+    expect(String(fields.name.type)).toEqual('StringFilter')
+    expect(String(fields.OR.type)).toEqual('[AssetFilter!]')
+  })
+
+  it('generates arguments in the shape createConnection accepts', async () => {
+    const schema = buildAssetSchema()
+    let args
+    const rootValue = {
+      assets: connectionArgs => {
+        args = connectionArgs
+        return { edges: [], pageInfo: { hasNextPage: false, hasPreviousPage: false }, pageCount: 0 }
+      }
+    }
+
+    const result = await graphql({
+      schema,
+      rootValue,
+      source: `{
+        assets(first: 2, sort: [{ field: marketCapUsd, direction: DESC }], filter: { rank: { lte: 10 } }) {
+          pageCount
+        }
+      }`
+    })
+
+    expect(result.errors).toBeUndefined()
+    expect(JSON.parse(JSON.stringify(args))).toEqual({
+      first: 2,
+      sort: [{ field: 'marketCapUsd', direction: 'DESC' }],
+      filter: { rank: { lte: 10 } }
+    })
+  })
+
+  it.each([
+    ['asset-type', assetsFieldMap, {}, 'Invalid type name "asset-type"'],
+    ['Asset', {}, {}, 'The fieldMap of Asset has no fields'],
+    ['Asset', { 'market-cap': 'market_cap' }, {}, 'Field "market-cap" of Asset is not a valid'],
+    ['Asset', { null: 'nothing' }, {}, 'Field "null" of Asset is not a valid'],
+    ['Asset', { updatedAt: 'updated' }, { updatedAt: 'Date' }, 'No filter input for Date fields'],
+    ['Asset', { label: row => row.name }, {}, 'The fieldMap of Asset has no sortable fields']
+  ])('rejects type %s with fieldMap %j', (typeName, fieldMap, fieldTypes, message) => {
+    expect(() => generateConnectionSchema(typeName, fieldMap, { fieldTypes })).toThrowError(message)
+  })
+})
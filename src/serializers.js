@@ -0,0 +1,83 @@
+const { getLogger } = require('./instrumentation')
+
+/**
+ * Serializers convert the DB value of a graphQL field into the value returned to clients. They are declared
+ * alongside the fieldMap, keyed by graphQL field name, e.g.
+ *   { updatedAt: serializers.isoDate, marketCapUsd: serializers.number, status: serializers.enumMap({ 1: 'ACTIVE' }) }
+ * A serializer is called as (value, object) with the field's value, never null or undefined, and the mapped object.
+ */
+
+const toDate = value => {
+  const date = value instanceof Date ? value : new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date ${JSON.stringify(value)}`)
+  }
+  return date
+}
+
+const serializers = {
+  // epoch milliseconds, e.g. 1548456209993
+  epoch: value => toDate(value).getTime(),
+  // ISO-8601, e.g. '2019-01-25T22:43:29.993Z'
+  isoDate: value => toDate(value).toISOString(),
+  // DECIMAL and BIGINT strings as numbers, only for values within the precision of a double
+  number: value => {
+    const number = Number(value)
+    if (Number.isNaN(number)) {
+      throw new Error(`Invalid number ${JSON.stringify(value)}`)
+    }
+    return number
+  },
+  // DECIMAL and BIGINT values as strings, keeping every digit
+  decimalString: value => (typeof value === 'string' ? value : value.toString()),
+  // JSONB columns, parsed when the driver returns them as text
+  json: value => (typeof value === 'string' ? JSON.parse(value) : value),
+  /**
+   * @param {object} mapping - graphQL enum value of each DB value, e.g. { 1: 'ACTIVE', 2: 'DELISTED' }
+   * @returns {function} serializer of the enum
+   */
+  enumMap: mapping => value => {
+    if (!Object.prototype.hasOwnProperty.call(mapping, value)) {
+      throw new Error(`Unknown enum value ${JSON.stringify(value)}`)
+    }
+    return mapping[value]
+  }
+}
+
+// the Date timestamps of sequelize models are exposed as epoch milliseconds unless declared otherwise
+const timestamp = value => (value instanceof Date ? value.getTime() : value)
+const DEFAULT_SERIALIZERS = {
+  createdAt: timestamp,
+  deletedAt: timestamp,
+  updatedAt: timestamp
+}
+
+/**
+ * Applies serializers to a graphQL object, returning a new object. Values a serializer fails on are logged
+ * and returned as is.
+ * @param {object} object - graphQL object, e.g. a DB row mapped by mapDbFieldsToGraphQlFields
+ * @param {object} [fieldSerializers] - serializer per graphQL field name, merged over the defaults of the
+ *      timestamps, set a field to null to return its value as is
+ * @returns {object} serialized object
+ */
+const applySerializers = (object, fieldSerializers) => {
+  const allSerializers = { ...DEFAULT_SERIALIZERS, ...fieldSerializers }
+  return Object.keys(allSerializers).reduce((result, field) => {
+    const serialize = allSerializers[field]
+    const value = result[field]
+    if (!serialize || value === null || value === undefined) {
+      return result
+    }
+    try {
+      return { ...result, [field]: serialize(value, object) }
+    } catch (error) {
+      getLogger().error(`Error serializing field "${field}":`, error)
+      return result
+    }
+  }, object)
+}
+
+module.exports = {
+  applySerializers,
+  serializers
+}
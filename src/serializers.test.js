@@ -0,0 +1,87 @@
+const { applySerializers, serializers } = require('./serializers')
+const config = require('./config')
+
+describe('serializers', () => {
+  const date = new Date('2019-01-25T22:43:29.993Z')
+
+  it('serializes dates as epoch milliseconds or ISO-8601', () => {
+    expect(serializers.epoch(date)).toEqual(1548456209993)
+    expect(serializers.epoch('2019-01-25T22:43:29.993Z')).toEqual(1548456209993)
+    expect(serializers.isoDate(date)).toEqual('2019-01-25T22:43:29.993Z')
+    expect(serializers.isoDate(1548456209993)).toEqual('2019-01-25T22:43:29.993Z')
+    expect(() => serializers.isoDate('yesterday')).toThrow('Invalid date "yesterday"')
+  })
+
+  it('serializes decimals as numbers or strings', () => {
+    expect(serializers.number('1234.5678')).toEqual(1234.5678)
+    expect(() => serializers.number('n/a')).toThrow('Invalid number "n/a"')
+    expect(serializers.decimalString('123456789012345678901234.5')).toEqual(
+      '123456789012345678901234.5'
+    )
+    expect(serializers.decimalString(BigInt('9007199254740993'))).toEqual('9007199254740993')
+    expect(serializers.decimalString(12.5)).toEqual('12.5')
+  })
+
+  it('parses JSON text', () => {
+    expect(serializers.json('{"website":"bitcoin.org"}')).toEqual({ website: 'bitcoin.org' })
+    expect(serializers.json({ website: 'bitcoin.org' })).toEqual({ website: 'bitcoin.org' })
+  })
+
+  it('maps enum values', () => {
+    const status = serializers.enumMap({ 1: 'ACTIVE', 2: 'DELISTED' })
+
+    expect(status(2)).toEqual('DELISTED')
+    expect(() => status(3)).toThrow('Unknown enum value 3')
+  })
+})
+
+describe('applySerializers', () => {
+  afterEach(() => {
+    config.logger = null
+  })
+
+  it('returns a serialized copy of the object', () => {
+    const object = { marketCapUsd: '100.5', name: 'Bitcoin', website: null }
+
+    const serialized = applySerializers(object, {
+      marketCapUsd: serializers.number,
+      website: serializers.json
+    })
+
+    expect(serialized).toEqual({ marketCapUsd: 100.5, name: 'Bitcoin', website: null })
+    expect(object).toEqual({ marketCapUsd: '100.5', name: 'Bitcoin', website: null })
+  })
+
+  it('serializes Date timestamps as epoch milliseconds by default', () => {
+    const date = new Date(1548456209993)
+
+    expect(applySerializers({ createdAt: date, deletedAt: null, updatedAt: date })).toEqual({
+      createdAt: 1548456209993,
+      deletedAt: null,
+      updatedAt: 1548456209993
+    })
+    expect(applySerializers({ updatedAt: date }, { updatedAt: serializers.isoDate })).toEqual({
+      updatedAt: '2019-01-25T22:43:29.993Z'
+    })
+    expect(applySerializers({ updatedAt: date }, { updatedAt: null })).toEqual({ updatedAt: date })
+  })
+
+  it('passes the object to serializers', () => {
+    const serialized = applySerializers(
+      { name: 'Bitcoin', symbol: 'BTC' },
+      { name: (name, object) => `${name} (${object.symbol})` }
+    )
+
+    expect(serialized.name).toEqual('Bitcoin (BTC)')
+  })
+
+  it('logs the values serializers fail on and returns them as is', () => {
+    config.logger = { error: jest.fn() }
+
+    expect(applySerializers({ rank: 'n/a' }, { rank: serializers.number })).toEqual({ rank: 'n/a' })
+    expect(config.logger.error).toHaveBeenCalledWith(
+      'Error serializing field "rank":',
+      new Error('Invalid number "n/a"')
+    )
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Building blocks for the raw SQL of custom queries. A fragment is { sql, replacements } where each '?' in sql is
+ * bound to the replacement at the same position. Only fragments built here are trusted to be inlined by the sql
+ * tag, any other interpolated value is bound as a replacement, so user input can never become SQL.
+ */
+const fragments = new WeakSet()
+
+/**
+ * @param {string} sql - SQL with '?' placeholders
+ * @param {array} [replacements] - values of the placeholders
+ * @returns {object} trusted SQL fragment
+ */
+const fragment = (sql, replacements = []) => {
+  const result = { sql, replacements }
+  fragments.add(result)
+  return result
+}
+
+const isFragment = value => fragments.has(value)
+
+/**
+ * Tagged template for custom queries, e.g. sql`SELECT * FROM markets WHERE exchange_id = ${exchangeId}`.
+ * Interpolated values are bound as replacements, unless they are fragments such as those of identifier,
+ * joinSql or filterToSql, which are inlined.
+ * @returns {object} SQL fragment
+ */
+const sql = (strings, ...values) =>
+  values.reduce((result, value, index) => {
+    const part = isFragment(value) ? value : fragment('?', [value])
+    return fragment(
+      result.sql + part.sql + strings[index + 1],
+      result.replacements.concat(part.replacements)
+    )
+  }, fragment(strings[0]))
+
+/**
+ * Quotes an identifier, e.g. market_cap as "market_cap" or markets.base_symbol as "markets"."base_symbol"
+ * @param {string} name - column or table name
+ * @returns {string} quoted identifier
+ */
+const quoteIdentifier = name => {
+  if (typeof name !== 'string' || !name) {
+    throw new Error(`Invalid SQL identifier ${JSON.stringify(name)}`)
+  }
+  return name
+    .split('.')
+    .map(part => `"${part.replace(/"/g, '""')}"`)
+    .join('.')
+}
+
+/**
+ * @param {string} name - column or table name
+ * @returns {object} SQL fragment of the quoted identifier, for use in the sql tag
+ */
+const identifier = name => fragment(quoteIdentifier(name))
+
+/**
+ * @param {array} parts - SQL fragments
+ * @param {string} separator - e.g. ' AND '
+ * @returns {object} SQL fragment of the parts joined in parentheses, a single part is returned as is
+ */
+const joinSql = (parts, separator) =>
+  parts.length === 1
+    ? parts[0]
+    : fragment(
+        `(${parts.map(part => part.sql).join(separator)})`,
+        [].concat(...parts.map(part => part.replacements))
+      )
+
+module.exports = {
+  fragment,
+  identifier,
+  isFragment,
+  joinSql,
+  quoteIdentifier,
+  sql
+}
@@ -0,0 +1,60 @@
+const { identifier, joinSql, quoteIdentifier, sql } = require('./sql')
+
+describe('sql', () => {
+  it('binds interpolated values as replacements', () => {
+    const slug = "bitcoin'; DROP TABLE assets; --"
+
+    expect(sql`SELECT * FROM markets WHERE base_slug = ${slug} OR quote_slug = ${slug}`).toEqual({
+      sql: 'SELECT * FROM markets WHERE base_slug = ? OR quote_slug = ?',
+      replacements: [slug, slug]
+    })
+  })
+
+  it('inlines fragments in order with their replacements', () => {
+    const condition = sql`${identifier('base_slug')} = ${'bitcoin'}`
+
+    expect(sql`SELECT * FROM markets WHERE ${condition} AND volume > ${10}`).toEqual({
+      sql: 'SELECT * FROM markets WHERE "base_slug" = ? AND volume > ?',
+      replacements: ['bitcoin', 10]
+    })
+  })
+
+  it('binds objects that only look like fragments', () => {
+    const spoofed = { sql: '1 = 1; DROP TABLE assets', replacements: [] }
+
+    expect(sql`SELECT * FROM markets WHERE base_slug = ${spoofed}`).toEqual({
+      sql: 'SELECT * FROM markets WHERE base_slug = ?',
+      replacements: [spoofed]
+    })
+  })
+
+  it('returns a fragment for a query without values', () => {
+    expect(sql`SELECT * FROM markets`).toEqual({ sql: 'SELECT * FROM markets', replacements: [] })
+  })
+})
+
+describe('quoteIdentifier', () => {
+  it('quotes each part of the identifier and escapes quotes', () => {
+    expect(quoteIdentifier('market_cap')).toEqual('"market_cap"')
+    expect(quoteIdentifier('markets.base_slug')).toEqual('"markets"."base_slug"')
+    expect(quoteIdentifier('a" OR 1=1 --')).toEqual('"a"" OR 1=1 --"')
+  })
+
+  it('rejects empty and non-string identifiers', () => {
+    expect(() => quoteIdentifier('')).toThrowError('Invalid SQL identifier ""')
+    expect(() => quoteIdentifier(undefined)).toThrowError('Invalid SQL identifier undefined')
+  })
+})
+
+describe('joinSql', () => {
+  it('joins fragments in parentheses and returns a single fragment as is', () => {
+    const first = sql`a = ${1}`
+    const second = sql`b = ${2}`
+
+    expect(joinSql([first, second], ' OR ')).toEqual({
+      sql: '(a = ? OR b = ?)',
+      replacements: [1, 2]
+    })
+    expect(joinSql([first], ' OR ')).toBe(first)
+  })
+})